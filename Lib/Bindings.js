@@ -0,0 +1,585 @@
+/**
+ * Interpolaciones del template: {{nombre}} o {{objeto.propiedad}}
+ * @type {RegExp}
+ */
+const INTERPOLATION = /\{\{\s*([\w$]+(?:\.[\w$]+)*)\s*\}\}/g;
+
+/**
+ * Expresión de las listas: "item in items" o "item, index in items"
+ * @type {RegExp}
+ */
+const LIST_EXPRESSION = /^\s*\(?\s*([\w$]+)\s*(?:,\s*([\w$]+)\s*)?\)?\s+in\s+([\w$]+(?:\.[\w$]+)*)\s*$/;
+
+/**
+ * Elementos cuyo contenido no se compila
+ * @type {string[]}
+ */
+const SKIPPED_ELEMENTS = ["SCRIPT", "STYLE"];
+
+/**
+ * clase Scope
+ * Valores (estados y funciones) expuestos por el script del componente al template
+ */
+export class Scope {
+	/**
+	 * Crea un nuevo scope
+	 * @param {Object} values valores iniciales
+	 * @param {Scope|null} parent scope padre (los nombres no encontrados se buscan en él)
+	 */
+	constructor(values = {}, parent = null) {
+		this.values = values;
+		this.parent = parent;
+		/**
+		 * Funciones para escribir valores desde el template (data-model)
+		 * @type {Object<string, function(*):void>}
+		 */
+		this.setters = {};
+	}
+
+	/**
+	 * Retorna el valor de un nombre del scope (o de sus padres)
+	 * @param {string} name nombre del valor
+	 * @returns {*} valor o undefined si no existe
+	 */
+	get(name) {
+		if (Object.hasOwn(this.values, name)) return this.values[name];
+		return this.parent?.get(name);
+	}
+
+	/**
+	 * Retorna el valor de una ruta (ej: "user.name")
+	 * @param {string} path ruta separada por puntos
+	 * @returns {*} valor o undefined si no existe
+	 */
+	resolve(path) {
+		const [root, ...keys] = path.split(".");
+		return keys.reduce((value, key) => value?.[key], this.get(root));
+	}
+
+	/**
+	 * Retorna el setter de un nombre del scope (o de sus padres)
+	 * @param {string} name nombre del valor
+	 * @returns {function(*):void|undefined} el setter o undefined si no se puede escribir
+	 */
+	setterOf(name) {
+		if (Object.hasOwn(this.setters, name)) return this.setters[name];
+		return this.parent?.setterOf(name);
+	}
+}
+
+/**
+ * Si un valor implementa el protocolo de los formularios (useForm)
+ * @param {*} value valor a verificar
+ * @returns {boolean} true si tiene values y setValue
+ */
+function isFormModel(value) {
+	return typeof value?.setValue === "function" && typeof value.values === "object";
+}
+
+/**
+ * Retorna una copia de un objeto con una ruta actualizada (sin mutar el original)
+ * @param {Object} target objeto original
+ * @param {string[]} keys ruta a actualizar
+ * @param {*} value nuevo valor
+ * @returns {Object} la copia actualizada
+ */
+function assignIn(target, [key, ...rest], value) {
+	const copy = Array.isArray(target) ? [...target] : { ...target };
+	copy[key] = rest.length ? assignIn(target?.[key] ?? {}, rest, value) : value;
+	return copy;
+}
+
+/**
+ * Separa un texto con interpolaciones en partes estáticas y rutas
+ * @param {string} text texto a separar
+ * @returns {Array<string|{path: string}>|null} las partes o null si no tiene interpolaciones
+ */
+function parseInterpolation(text) {
+	if (!text.includes("{{")) return null;
+
+	const parts = [];
+	let lastIndex = 0;
+	for (const match of text.matchAll(INTERPOLATION)) {
+		if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+		parts.push({ path: match[1] });
+		lastIndex = match.index + match[0].length;
+	}
+	if (lastIndex === 0) return null;
+	if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+	return parts;
+}
+
+/**
+ * Convierte un valor del scope a texto
+ * @param {*} value valor a convertir
+ * @returns {string} el texto a mostrar
+ */
+function toText(value) {
+	return value === undefined || value === null ? "" : String(value);
+}
+
+/**
+ * Calcula la subsecuencia creciente más larga de una lista de posiciones
+ * (los elementos que ya están en orden y no hace falta mover)
+ * @param {number[]} positions posiciones anteriores (-1 para los elementos nuevos, que no cuentan)
+ * @returns {Set<number>} índices de la lista que forman la subsecuencia
+ */
+function longestIncreasingSubsequence(positions) {
+	const previous = new Array(positions.length).fill(-1);
+	/** @type {number[]} índice del último elemento de cada subsecuencia de longitud i + 1 */
+	const tails = [];
+
+	positions.forEach((position, index) => {
+		if (position < 0) return;
+		// Búsqueda binaria de la subsecuencia más larga que se puede extender
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (positions[tails[middle]] < position) low = middle + 1;
+			else high = middle;
+		}
+		if (low > 0) previous[index] = tails[low - 1];
+		tails[low] = index;
+	});
+
+	const result = new Set();
+	for (let index = tails.at(-1) ?? -1; index >= 0; index = previous[index]) result.add(index);
+	return result;
+}
+
+/**
+ * clase Bindings
+ * Compila una única vez las interpolaciones del template y actualiza
+ * solo los nodos que dependen de los valores que cambian
+ */
+export class Bindings {
+	/**
+	 * Crea los bindings de un scope
+	 * @param {Scope} scope valores a los que se resuelven las interpolaciones
+	 * @param {function(*):void|null} onError recibe los errores de los handlers de los eventos (on:evento)
+	 */
+	constructor(scope, onError = null) {
+		this.scope = scope;
+		this.onError = onError;
+		/**
+		 * Bindings por nombre raíz del que dependen
+		 * @type {Map<string, Set<{patch: function():void}>>}
+		 */
+		this.byKey = new Map();
+		/**
+		 * Listas (data-for) del template: sus elementos también dependen de este scope
+		 * @type {Set<{patch: function():void, propagate: function(Iterable<string>):void}>}
+		 */
+		this.lists = new Set();
+	}
+
+	/**
+	 * Busca las interpolaciones de un árbol del DOM y las registra
+	 * @param {Node} root nodo raíz (ShadowRoot, fragmento o elemento)
+	 * @returns {Bindings} la propia instancia
+	 */
+	compile(root) {
+		const walker = document.createTreeWalker(
+			root,
+			NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+			(node) => SKIPPED_ELEMENTS.includes(node.nodeName)
+				? NodeFilter.FILTER_REJECT
+				: NodeFilter.FILTER_ACCEPT
+		);
+
+		// Los condicionales mueven nodos: se procesan al terminar de recorrer el árbol
+		const conditionals = [];
+		for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+			if (node.nodeType === Node.TEXT_NODE) {
+				this._compileText(node);
+			} else if (node.nodeName === "TEMPLATE") {
+				// El contenido de un template no está en el DOM: solo se compilan las listas
+				if (node.hasAttribute("data-for")) this._compileList(node);
+			} else {
+				if (node.hasAttribute("data-if")) conditionals.push(node);
+				this._compileAttributes(node);
+			}
+		}
+		conditionals.forEach((element) => this._compileConditional(element));
+		return this;
+	}
+
+	/**
+	 * Actualiza los nodos que dependen de los nombres indicados
+	 * @param {Iterable<string>} [keys] nombres que cambiaron (todos si no se indica)
+	 */
+	update(keys) {
+		const targets = new Set();
+		const names = keys === undefined ? this.byKey.keys() : keys;
+		const changed = [...names];
+		for (const key of changed) {
+			this.byKey.get(key)?.forEach((binding) => targets.add(binding));
+		}
+		targets.forEach((binding) => binding.patch());
+
+		// Los elementos de las listas pueden usar valores del scope padre
+		this.lists.forEach((list) => list.propagate(keys === undefined ? undefined : changed));
+	}
+
+	/**
+	 * Registra un binding para los nombres raíz de sus rutas
+	 * @param {string[]} paths rutas de las que depende
+	 * @param {{patch: function():void}} binding binding a registrar
+	 */
+	_register(paths, binding) {
+		paths.forEach((path) => {
+			const key = path.split(".")[0];
+			if (!this.byKey.has(key)) this.byKey.set(key, new Set());
+			this.byKey.get(key).add(binding);
+		});
+	}
+
+	/**
+	 * Compila un nodo de texto
+	 * @param {Text} node nodo de texto
+	 */
+	_compileText(node) {
+		const parts = parseInterpolation(node.textContent);
+		if (!parts) return;
+
+		let last = null;
+		const binding = {
+			patch: () => {
+				const text = this._render(parts);
+				if (text === last) return;
+				last = text;
+				node.textContent = text;
+			}
+		};
+		this._register(parts.filter((part) => typeof part !== "string").map(({ path }) => path), binding);
+		binding.patch();
+	}
+
+	/**
+	 * Compila los atributos de un elemento
+	 * @param {Element} element elemento del DOM
+	 */
+	_compileAttributes(element) {
+		for (const name of element.getAttributeNames()) {
+			if (name.startsWith("on:")) {
+				this._compileEvent(element, name);
+				continue;
+			}
+			if (name === "data-model") {
+				this._compileModel(element, element.getAttribute(name).trim());
+				continue;
+			}
+
+			const parts = parseInterpolation(element.getAttribute(name));
+			if (!parts) continue;
+
+			// Un atributo con una única interpolación acepta booleanos (disabled="{{busy}}")
+			const single = parts.length === 1 ? parts[0].path : null;
+			let last = null;
+			const binding = {
+				patch: () => {
+					const value = single ? this.scope.resolve(single) : this._render(parts);
+					if (Object.is(value, last)) return;
+					last = value;
+					if (value === false || value === null || value === undefined) {
+						element.removeAttribute(name);
+					} else {
+						element.setAttribute(name, value === true ? "" : toText(value));
+					}
+				}
+			};
+			this._register(parts.filter((part) => typeof part !== "string").map(({ path }) => path), binding);
+			binding.patch();
+		}
+	}
+
+	/**
+	 * Compila un evento declarativo: on:click="handler" (modificadores: on:submit.prevent, on:click.stop)
+	 * El listener se agrega una única vez y resuelve el handler del scope en cada evento
+	 * @param {Element} element elemento del DOM
+	 * @param {string} attribute nombre del atributo (on:evento[.modificador])
+	 */
+	_compileEvent(element, attribute) {
+		const [eventName, ...modifiers] = attribute.slice(3).split(".");
+		const path = element.getAttribute(attribute).trim();
+		element.removeAttribute(attribute);
+
+		element.addEventListener(eventName, (event) => {
+			if (modifiers.includes("prevent")) event.preventDefault();
+			if (modifiers.includes("stop")) event.stopPropagation();
+
+			const handler = this.scope.resolve(path);
+			if (typeof handler !== "function") {
+				console.warn(`on:${eventName}: "${path}" no es una función expuesta por el componente`);
+				return;
+			}
+			// El segundo argumento es el scope del elemento (en una lista incluye el item)
+			try {
+				handler.call(element, event, this.scope.values);
+			} catch (error) {
+				if (!this.onError) throw error;
+				this.onError(error);
+			}
+		});
+	}
+
+	/**
+	 * Compila un enlace bidireccional: data-model="campo" en inputs, selects y textareas.
+	 * Escribe en un estado de useBinding ("nombre" o "nombre.propiedad") o en un
+	 * formulario de useForm expuesto al template ("form.campo")
+	 * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element control del formulario
+	 * @param {string} path ruta del valor enlazado
+	 */
+	_compileModel(element, path) {
+		const [root, ...keys] = path.split(".");
+		const type = element.type;
+		const isCheckbox = type === "checkbox";
+		const isRadio = type === "radio";
+		const isMultiple = element.tagName === "SELECT" && element.multiple;
+
+		/**
+		 * Lee el valor enlazado (en un formulario se lee desde sus values)
+		 * @returns {*} valor actual
+		 */
+		const read = () => {
+			const target = this.scope.get(root);
+			if (keys.length && isFormModel(target)) return keys.reduce((value, key) => value?.[key], target.values);
+			return this.scope.resolve(path);
+		};
+
+		/**
+		 * Escribe el valor enlazado
+		 * @param {*} value nuevo valor
+		 */
+		const write = (value) => {
+			const target = this.scope.get(root);
+			if (keys.length && isFormModel(target)) {
+				// "form.address.city": el campo es address y se actualiza su ruta city
+				const [field, ...rest] = keys;
+				target.setValue(field, rest.length ? assignIn(target.values[field], rest, value) : value);
+				return;
+			}
+			const setter = this.scope.setterOf(root);
+			if (!setter) {
+				console.warn(`data-model: "${root}" no es un estado enlazado (useBinding) ni un formulario (useForm)`);
+				return;
+			}
+			setter(keys.length ? assignIn(target, keys, value) : value);
+		};
+
+		/**
+		 * Valor del control según su tipo
+		 * @returns {*} valor del control
+		 */
+		const valueOf = () => {
+			if (isCheckbox) return element.checked;
+			if (isMultiple) return [...element.selectedOptions].map((option) => option.value);
+			if (type === "number" || type === "range") {
+				return element.value === "" ? null : element.valueAsNumber;
+			}
+			return element.value;
+		};
+
+		const eventName = isCheckbox || isRadio || element.tagName === "SELECT" ? "change" : "input";
+		element.addEventListener(eventName, () => {
+			if (isRadio && !element.checked) return;
+			write(valueOf());
+		});
+		element.addEventListener("blur", () => {
+			const target = this.scope.get(root);
+			if (keys.length && isFormModel(target)) target.setTouched?.(keys.join("."));
+		});
+
+		const binding = {
+			patch: () => {
+				const value = read();
+				if (isCheckbox) {
+					element.checked = Boolean(value);
+				} else if (isRadio) {
+					element.checked = element.value === toText(value);
+				} else if (isMultiple) {
+					const selected = Array.isArray(value) ? value.map(toText) : [];
+					[...element.options].forEach((option) => { option.selected = selected.includes(option.value); });
+				} else if (element.value !== toText(value)) {
+					// Solo si cambió, para no mover el cursor mientras se escribe
+					element.value = toText(value);
+				}
+			}
+		};
+		this._register([root], binding);
+		binding.patch();
+	}
+
+	/**
+	 * Compila un bloque condicional: data-if="visible" (o "!visible") y opcionalmente
+	 * un data-else en el siguiente elemento hermano. Los bloques no se vuelven a parsear:
+	 * se intercambian por un comentario que guarda su posición
+	 * @param {Element} element elemento con el data-if
+	 */
+	_compileConditional(element) {
+		const expression = element.getAttribute("data-if").trim();
+		const negated = expression.startsWith("!");
+		const path = negated ? expression.slice(1).trim() : expression;
+
+		const otherwise = element.nextElementSibling?.hasAttribute("data-else")
+			? element.nextElementSibling
+			: null;
+
+		/**
+		 * Muestra u oculta un bloque cambiándolo por su comentario
+		 * @param {Element} block bloque a mostrar u ocultar
+		 * @param {Comment} placeholder comentario que guarda su posición
+		 * @param {boolean} visible si debe estar en el DOM
+		 */
+		const toggle = (block, placeholder, visible) => {
+			if (visible && placeholder.parentNode) placeholder.replaceWith(block);
+			else if (!visible && block.parentNode) block.replaceWith(placeholder);
+		};
+
+		const ifPlaceholder = document.createComment(` data-if="${expression}" `);
+		const elsePlaceholder = document.createComment(" data-else ");
+		let last = null;
+
+		const binding = {
+			patch: () => {
+				const visible = Boolean(this.scope.resolve(path)) !== negated;
+				if (visible === last) return;
+				last = visible;
+				toggle(element, ifPlaceholder, visible);
+				if (otherwise) toggle(otherwise, elsePlaceholder, !visible);
+			}
+		};
+		this._register([path], binding);
+		binding.patch();
+	}
+
+	/**
+	 * Compila una lista con clave: <template data-for="item in items" data-key="id">
+	 * Cada elemento tiene su propio scope y al cambiar la lista solo se insertan,
+	 * mueven o eliminan los nodos de los elementos que cambiaron
+	 * @param {HTMLTemplateElement} template template con el contenido de cada elemento
+	 */
+	_compileList(template) {
+		const expression = template.getAttribute("data-for");
+		const match = expression.match(LIST_EXPRESSION);
+		if (!match) {
+			console.error(`data-for inválido: "${expression}" (se esperaba "item in items")`);
+			return;
+		}
+
+		const [, alias, indexAlias = "$index", listPath] = match;
+		const keyPath = template.getAttribute("data-key");
+		/**
+		 * Elementos renderizados por clave (sus nodos están entre dos comentarios)
+		 * @type {Map<*, {start: Comment, end: Comment, scope: Scope, bindings: Bindings}>}
+		 */
+		let entries = new Map();
+
+		/**
+		 * Retorna los nodos de un elemento de la lista (incluidos sus comentarios)
+		 * @param {{start: Comment, end: Comment}} entry elemento de la lista
+		 * @returns {Node[]} nodos del elemento
+		 */
+		const nodesOf = ({ start, end }) => {
+			const nodes = [start];
+			for (let node = start; node !== end; node = node.nextSibling) nodes.push(node.nextSibling);
+			return nodes;
+		};
+
+		/**
+		 * Retorna la clave de un elemento (data-key="id" o data-key="item.id")
+		 * @param {*} item elemento de la lista
+		 * @param {number} index posición del elemento
+		 * @returns {*} la clave
+		 */
+		const keyOf = (item, index) => {
+			if (!keyPath) return index;
+			const path = keyPath.startsWith(`${alias}.`) ? keyPath.slice(alias.length + 1) : keyPath;
+			return path.split(".").reduce((value, key) => value?.[key], item);
+		};
+
+		const binding = {
+			patch: () => {
+				const items = Array.from(this.scope.resolve(listPath) ?? []);
+				const next = new Map();
+
+				items.forEach((item, index) => {
+					let key = keyOf(item, index);
+					if (next.has(key)) {
+						console.warn(`data-for: clave duplicada "${key}" en ${listPath}`);
+						key = `${key}:${index}`;
+					}
+
+					const entry = entries.get(key);
+					if (entry) {
+						// Elemento existente: solo se actualizan sus valores si cambiaron
+						const changed = [];
+						if (!Object.is(entry.scope.values[alias], item)) changed.push(alias);
+						if (entry.scope.values[indexAlias] !== index) changed.push(indexAlias);
+						Object.assign(entry.scope.values, { [alias]: item, [indexAlias]: index });
+						if (changed.length) entry.bindings.update(changed);
+						next.set(key, entry);
+					} else {
+						// Elemento nuevo: clonar y compilar el contenido del template
+						const scope = new Scope({ [alias]: item, [indexAlias]: index }, this.scope);
+						const fragment = template.content.cloneNode(true);
+						const bindings = new Bindings(scope, this.onError).compile(fragment);
+						// Los comentarios delimitan el elemento aunque sus nodos cambien (data-if)
+						const start = document.createComment(` ${alias}: ${key} `);
+						const end = document.createComment(` /${alias} `);
+						fragment.prepend(start);
+						fragment.append(end);
+						next.set(key, { start, end, scope, bindings, fragment });
+					}
+				});
+
+				// Eliminar los nodos de los elementos que ya no están
+				entries.forEach((entry, key) => {
+					if (!next.has(key)) nodesOf(entry).forEach((node) => node.remove());
+				});
+
+				// Los elementos que siguen en el mismo orden relativo (subsecuencia creciente más larga)
+				// no se mueven: solo se insertan los nuevos y se mueven los demás
+				const kept = new Set(next.values());
+				const previousOrder = [...entries.values()].filter((entry) => kept.has(entry));
+				const oldPositions = new Map(previousOrder.map((entry, position) => [entry, position]));
+				const ordered = [...next.values()];
+				const stay = longestIncreasingSubsequence(ordered.map((entry) => oldPositions.get(entry) ?? -1));
+
+				// Se colocan de atrás hacia delante, antes del elemento siguiente (o del nodo tras la lista)
+				let anchor = (previousOrder.at(-1)?.end ?? template).nextSibling;
+				for (let index = ordered.length - 1; index >= 0; index--) {
+					const entry = ordered[index];
+					if (entry.fragment) {
+						template.parentNode.insertBefore(entry.fragment, anchor);
+						delete entry.fragment;
+					} else if (!stay.has(index)) {
+						nodesOf(entry).forEach((node) => template.parentNode.insertBefore(node, anchor));
+					}
+					anchor = entry.start;
+				}
+
+				entries = next;
+			},
+			propagate: (keys) => {
+				entries.forEach((entry) => entry.bindings.update(keys));
+			}
+		};
+
+		this._register([listPath], binding);
+		this.lists.add(binding);
+		binding.patch();
+	}
+
+	/**
+	 * Genera el texto de una lista de partes
+	 * @param {Array<string|{path: string}>} parts partes del texto
+	 * @returns {string} el texto con los valores actuales
+	 */
+	_render(parts) {
+		return parts
+			.map((part) => typeof part === "string" ? part : toText(this.scope.resolve(part.path)))
+			.join("");
+	}
+}
@@ -1,13 +1,37 @@
 import {
 	Hook,
-	HOOKS
-} from "./hooks";
+	HookType,
+	HOOKS,
+	createContext,
+	resolvePendingContexts
+} from "./hooks/index.js";
+import { castProp, toAttributeName } from "./props.js";
+import { Scope } from "./Bindings.js";
+import { navigate } from "./Router.js";
+import { createStore, logger, thunk } from "./store.js";
 
 /**
  * Función para ignorar los callbacks
  */
 function __ignoreCallback(){}
 
+/**
+ * Ruta estable de un componente en el documento, para nombrar sus valores guardados.
+ * Usa su atributo data-key o id (web-user#ana) o, si no tiene, su posición entre los
+ * de la misma etiqueta (web-user[0]); dentro de un shadow root se antepone la del componente que lo contiene
+ * @param {HTMLElement} host elemento del componente
+ * @returns {string} ruta del componente (ej: web-list[0]/web-item[2])
+ */
+function storagePath(host) {
+	const tag = host.localName;
+	const root = host.getRootNode();
+	const explicit = host.getAttribute("data-key") || host.id;
+	const segment = explicit
+		? `${tag}#${explicit}`
+		: `${tag}[${[...root.querySelectorAll?.(tag) ?? []].indexOf(host)}]`;
+	return root instanceof ShadowRoot ? `${storagePath(root.host)}/${segment}` : segment;
+}
+
 /**
  * clase Context
  * Donde se implementarán toda la lógica de los hooks y utilidades
@@ -23,8 +47,10 @@ export class Context {
 	 * @param {Function} renderCallback callback para desencadenar un re-renderizado diferido
 	 * @param {Function} hasAttr consultar si el componente contiene o no un atributo
 	 * @param {Function} getAttr obtener el valor de un atributo del componente
+	 * @param {function(): Object} getProps obtener las definiciones de las props del componente
+	 * @param {HTMLElement|null} host elemento del componente (para proveer y consumir contextos compartidos)
 	 */
-	constructor(cmpName, renderCallback, hasAttr, getAttr) {
+	constructor(cmpName, renderCallback, hasAttr, getAttr, getProps = () => ({}), host = null) {
 		// id que representa a este Context
 		this.id = Context.idx++;
 		// Nombre para el Context
@@ -38,6 +64,25 @@ export class Context {
 			useState: this.useState.bind(this),
 			useViewTransition: this.useViewTransition.bind(this),
 			useLocalStorage: this.useLocalStorage.bind(this),
+			useForm: this.useForm.bind(this),
+			useRoute: this.useRoute.bind(this),
+			useFetch: this.useFetch.bind(this),
+			useSSE: this.useSSE.bind(this),
+			useContext: this.useContext.bind(this),
+			useProvider: this.useProvider.bind(this),
+			useStore: this.useStore.bind(this),
+			useErrorBoundary: this.useErrorBoundary.bind(this),
+			useGlobalLocalStorage: this.useGlobalLocalStorage.bind(this),
+			/* Hooks del Contexto */
+			useProps: this.useProps.bind(this),
+			useAttribute: this.useAttribute.bind(this),
+			useBinding: this.useBinding.bind(this),
+			expose: this.expose.bind(this),
+			/* Utilidades */
+			navigate,
+			createContext,
+			createStore,
+			storeMiddleware: { logger, thunk },
 		};
 		// Callback para actualizar el DOM
 		this._render = renderCallback;
@@ -45,10 +90,291 @@ export class Context {
 		this.getAttribute = getAttr;
 		// Callback para verificar si un atributo existe
 		this.hasAttribute = hasAttr;
+		// Callback para obtener las props declaradas
+		this.getProps = getProps;
+		// Elemento del componente
+		this.host = host;
+		// Valores expuestos al template ({{nombre}})
+		this.scope = new Scope();
+		// Listeners de los cambios del scope
+		this._scopeListeners = new Set();
+	}
+
+	/**
+	 * Suscribe una función a los cambios del scope del template
+	 * @param {function(string[]):void} listener recibe los nombres que cambiaron
+	 * @returns {function():void} función para cancelar la suscripción
+	 */
+	onScopeChange(listener) {
+		this._scopeListeners.add(listener);
+		return () => this._scopeListeners.delete(listener);
+	}
+
+	/**
+	 * Expone valores al template: los nodos que usan {{nombre}} se actualizan
+	 * solo si el valor de ese nombre cambió
+	 * @param {Object<string, *>} values valores a exponer por nombre
+	 */
+	expose(values) {
+		const changed = Object.entries(values)
+			.filter(([name, value]) => !Object.hasOwn(this.scope.values, name) || !Object.is(this.scope.values[name], value))
+			.map(([name]) => name);
+		if (changed.length === 0) return;
+
+		Object.assign(this.scope.values, values);
+		this._scopeListeners.forEach((listener) => listener(changed));
+	}
+
+	/**
+	 * Estado enlazado al template con un nombre: al actualizarse parchea directamente
+	 * los nodos que usan {{nombre}} sin re-ejecutar los scripts dinámicos
+	 * @param {string} name nombre con el que se usa en el template
+	 * @param {*} initialValue Valor inicial para el estado
+	 * @param {string} storageKey Key opcional para asociar el estado a un valor del localStorage
+	 * @param {import("./storage.js").StorageOptions} storageOptions almacenamiento, versión y migraciones del valor guardado
+	 * @returns {[*, function(*|function(*):*)]} valor actual y función para actualizarlo
+	 */
+	useBinding(name, initialValue, storageKey, storageOptions = {}) {
+		let getter = null, setter = null;
+		if (storageKey !== undefined){
+			// Valor guardado que llega después (almacenamiento asíncrono) o que cambió otra pestaña
+			const onUpdate = (value) => {
+				setterState(value);
+				this.expose({ [name]: value });
+			};
+			[getter, setter] = this.useLocalStorage(storageKey, initialValue, { ...storageOptions, onUpdate });
+			initialValue = getter();
+		}
+		const [getterState, setterState, infoState] = HOOKS.useState(initialValue);
+		this.expose({ [name]: getterState() });
+
+		/**
+		 * Actualiza el estado y los nodos que dependen de él
+		 * @param {*|function(*):*} newValue Nuevo valor del estado
+		 */
+		const setBinding = (newValue) => {
+			const oldState = getterState();
+			const value = typeof newValue === 'function'
+				? newValue(oldState)
+				: newValue;
+
+			if (!Object.is(oldState, value)) {
+				setterState(value);
+				if(setter) setter(value);
+				this.expose({ [name]: value });
+			}
+		};
+		// Permite escribir el estado desde el template (data-model) y desde las devtools
+		this.scope.setters[name] = setBinding;
+		infoState.hookInstance.patch({ setter: setBinding });
+
+		return [getterState(), setBinding];
+	}
+
+	/**
+	 * Estado de un formulario (valores, visitados, modificados y errores) que
+	 * re-renderiza el componente cada vez que cambia. Exponiéndolo al template
+	 * se puede enlazar con data-model="form.campo"
+	 * @param {import("./hooks/useForm.js").FormOptions} options valores iniciales y validación
+	 * @returns {import("./hooks/useForm.js").FormState} estado y acciones del formulario
+	 */
+	useForm(options) {
+		return HOOKS.useForm(options, () => {
+			if (this._render) this._render();
+		});
+	}
+
+	/**
+	 * Ruta actual del router del cliente (el componente se re-renderiza cuando cambia)
+	 * @returns {import("./Router.js").RouteInfo} ruta actual (path, params, query y hash)
+	 */
+	useRoute() {
+		return HOOKS.useRoute(() => {
+			if (this._render) this._render();
+		});
+	}
+
+	/**
+	 * Pide datos con cache compartida entre componentes (el componente se re-renderiza cuando llegan)
+	 * @param {string|null} url dirección de la petición (null para no hacerla)
+	 * @param {RequestInit & import("./hooks/useFetch.js").FetchOptions} options opciones del fetch y de la cache
+	 * @returns {import("./hooks/useFetch.js").FetchState} estado de la petición
+	 */
+	useFetch(url, options) {
+		return HOOKS.useFetch(url, options, () => {
+			if (this._render) this._render();
+		});
+	}
+
+	/**
+	 * Suscribe el componente a un servidor de eventos (SSE). El componente se re-renderiza
+	 * con cada evento y la conexión se cierra cuando se elimina
+	 * @param {string|null} url dirección del servidor (null para no conectarse)
+	 * @param {function(MessageEvent):void} onMessage callback para eventos sin nombre
+	 * @param {function(Event):void} onError callback para errores
+	 * @param {Object<string, function(MessageEvent):void>} events callbacks de los eventos con nombre
+	 * @returns {import("./hooks/useSSE.js").SSEState} último evento y estado de la conexión
+	 */
+	useSSE(url, onMessage, onError, events) {
+		return HOOKS.useSSE(url, onMessage, onError, events, () => {
+			if (this._render) this._render();
+		});
+	}
+
+	/**
+	 * Lee el valor de un contexto provisto por un componente ancestro
+	 * (el componente se re-renderiza cuando el valor cambia)
+	 * @param {import("./hooks/useContext.js").SharedContext} context contexto creado con createContext
+	 * @returns {*} valor provisto (o el valor por defecto del contexto)
+	 */
+	useContext(context) {
+		return HOOKS.useContext(context, this.host, () => {
+			if (this._render) this._render();
+		});
+	}
+
+	/**
+	 * Provee el valor de un contexto a los componentes descendientes
+	 * @param {import("./hooks/useContext.js").SharedContext} context contexto creado con createContext
+	 * @param {*} value valor provisto
+	 */
+	useProvider(context, value) {
+		HOOKS.useProvider(context, value, this.host);
+	}
+
+	/**
+	 * Suscribe el componente a un store global: se re-renderiza solo cuando
+	 * la parte seleccionada del estado cambia
+	 * @param {import("./store.js").Store} store store creado con createStore
+	 * @param {function(*):*} selector función que extrae la parte del estado que usa el componente
+	 * @returns {[*, function(*):*]} parte seleccionada del estado y el dispatch del store
+	 */
+	useStore(store, selector) {
+		return HOOKS.useStore(store, selector, () => {
+			if (this._render) this._render();
+		});
+	}
+
+	/**
+	 * El componente se conectó al DOM: los contextos que no encontraron proveedor
+	 * (por renderizarse fuera del DOM) lo vuelven a buscar
+	 */
+	connect() {
+		resolvePendingContexts();
+	}
+
+	/**
+	 * El componente se eliminó del DOM: ejecuta las limpiezas de todos los hooks
+	 * (efectos, listeners, conexiones...) y libera su frame
+	 */
+	disconnect() {
+		this._cleanupHooks(Hook.getFrameHooks(this._contextName));
+		Hook.clearFrame(this._contextName);
+	}
+
+	/**
+	 * Ejecuta la limpieza de los hooks en orden inverso al de su creación
+	 * (efectos y suscripciones como fetch o SSE guardan su limpieza en cleanup)
+	 * @param {{frameIndex: number, hook: Hook}[]} frameHooks hooks del frame ordenados por su índice
+	 */
+	_cleanupHooks(frameHooks) {
+		[...frameHooks].reverse().forEach(({ hook }) => {
+			try {
+				hook.get()?.cleanup?.();
+			} catch (error) {
+				console.error('Error in hook cleanup:', error);
+			}
+		});
 	}
 
 	wrap(functionForWrap) {
-		return Hook.withFrame(this._contextName, functionForWrap, {});
+		return Hook.withFrame(this._contextName, functionForWrap, this._frameOptions());
+	}
+
+	/**
+	 * Opciones del frame del componente
+	 * @returns {Object} opciones para Hook.startFrame
+	 */
+	_frameOptions() {
+		return {
+			// Errores de efectos y listeners: van al error boundary del componente
+			onError: (error, source) => this.reportError(error, source),
+			// Raíz en la que buscan los hooks del componente (ej: useQuerySelector)
+			root: this.host?.shadow ?? null
+		};
+	}
+
+	/**
+	 * Callbacks de un script módulo (lo que exporta "webeact" junto a ctx, component y doc).
+	 * El módulo se evalúa de forma asíncrona (fuera de wrap), por eso cada hook entra al frame
+	 * del componente al llamarse, continuando el índice de los hooks anteriores del módulo
+	 * @returns {Object<string, *>} callbacks del módulo
+	 */
+	moduleScope() {
+		let hookIndex = 0;
+		const enterFrame = (hook) => (...args) => {
+			Hook.startFrame(this._contextName, this._frameOptions(), hookIndex);
+			try {
+				return hook(...args);
+			} finally {
+				hookIndex = Hook.endFrame()?.hooksUsed ?? hookIndex;
+			}
+		};
+		return Object.fromEntries(Object.entries(this.callbacks).map(([name, value]) => [
+			name,
+			typeof value === "function" && name.startsWith("use") ? enterFrame(value) : value
+		]));
+	}
+
+	/**
+	 * Entrega un error al componente (que lo envía a su error boundary más cercano)
+	 * @param {*} error error capturado
+	 * @param {string} source dónde ocurrió el error (ej: "effect", "event")
+	 */
+	reportError(error, source) {
+		if (typeof this.host?.handleError === "function") this.host.handleError(error, source);
+		else console.error(`Error en ${this._contextName}:`, error);
+	}
+
+	/**
+	 * Convierte al componente en un error boundary: captura los errores de sus descendientes.
+	 * El componente se re-renderiza cuando captura un error
+	 * @returns {{error: *, reset: function():void}} error capturado (null si no hay) y función para volver a montar el contenido
+	 */
+	useErrorBoundary() {
+		if (!this.host) return { error: null, reset: __ignoreCallback };
+		this.host.usesErrorBoundary = true;
+		return {
+			error: this.host.boundaryError?.error ?? null,
+			reset: () => this.host.resetErrorBoundary()
+		};
+	}
+
+	/**
+	 * Prepara los hooks para un hot reload del template:
+	 * se conserva el estado (state, reducer, localStorage, id) y el resto de hooks
+	 * (efectos, referencias al DOM, listeners, peticiones...) se limpian para crearse sobre el nuevo DOM
+	 */
+	prepareHotReload() {
+		const preserved = [
+			HookType.StateHook,
+			HookType.ReducerHook,
+			HookType.LocalStorageHook,
+			HookType.IDHook
+		];
+
+		const discarded = Hook.getFrameHooks(this._contextName)
+			.filter(({ hook }) => !preserved.includes(hook.type));
+
+		this._cleanupHooks(discarded);
+		discarded.forEach(({ frameIndex }) => Hook.removeFrameHook(this._contextName, frameIndex));
+	}
+
+	/**
+	 * Descarta todos los hooks del contexto (el siguiente renderizado empieza de cero)
+	 */
+	resetHooks() {
+		Hook.clearFrame(this._contextName);
 	}
 
 	/**
@@ -64,20 +390,52 @@ export class Context {
 		return [doAction, hook];
 	}
 
+	/**
+	 * Retorna los valores de todas las props declaradas por el componente,
+	 * convertidos a su tipo (el componente se re-renderiza cuando cambian)
+	 * @returns {Object<string, *>} valores de las props por nombre
+	 */
+	useProps() {
+		return Object.fromEntries(
+			Object.entries(this.getProps()).map(([name, definition]) => [
+				name,
+				castProp(definition, this.getAttribute(toAttributeName(name)))
+			])
+		);
+	}
+
+	/**
+	 * Retorna el valor de un atributo del componente. Si es una prop declarada
+	 * se convierte a su tipo y es reactivo; si no, se retorna el valor plano
+	 * @param {string} name nombre de la prop o del atributo
+	 * @returns {*} valor del atributo
+	 */
+	useAttribute(name) {
+		const definition = this.getProps()[name];
+		if (!definition) return this.getAttribute(name);
+		return castProp(definition, this.getAttribute(toAttributeName(name)));
+	}
+
 	/**
 	 * Hook para tener un estado reactivo que cuando cambie
 	 * desencadenará un re-renderizado
 	 * @param {*} initialValue Valor inicial para el estado
 	 * @param {string} storageKey Key opcional para asociar el estado a un valor del localStorage
+	 * @param {import("./storage.js").StorageOptions} storageOptions almacenamiento (local, session, indexedDB...), versión y migraciones del valor guardado
 	 * @returns {[*, function(*|function(*):*,Object)]} primer valor del array es el valor actual del estado, y el segundo es la función que se usa para actualizar el valor del estado y desencadenar el re-renderizado
 	 */
-	useState(initialValue, storageKey) {
+	useState(initialValue, storageKey, storageOptions = {}) {
 		/**
-		 * Si pasan una storageKey, utilizamos también el localStorage (en el contexto del componente)
+		 * Si pasan una storageKey, utilizamos también el almacenamiento (en el contexto del componente)
 		 */
 		let getter = null, setter = null;
 		if (storageKey !== undefined){
-			[getter, setter] = this.useLocalStorage(storageKey, initialValue, this._contextName);
+			// Valor guardado que llega después (almacenamiento asíncrono) o que cambió otra pestaña
+			const onUpdate = (value) => {
+				setterState(value);
+				if (this._render) this._render();
+			};
+			[getter, setter] = this.useLocalStorage(storageKey, initialValue, { ...storageOptions, onUpdate });
 			initialValue = getter();
 		}
 
@@ -107,6 +465,8 @@ export class Context {
 				if (this._render) this._render();
 			}
 		};
+		// Las devtools editan el estado con el mismo setter (guarda el valor y re-renderiza)
+		infoState.hookInstance.patch({ setter: setState });
 
 		// Retornar el valor plano actual, la función para actualizar el estado, y la información del hook
 		return [getterState(), setState, infoState];
@@ -117,10 +477,25 @@ export class Context {
 	 * Proporciona acceso de lectura y escritura a localStorage sin dependencias.
 	 * @param {string} key - Clave en localStorage.
 	 * @param {*} initialValue - Valor inicial si no existe en localStorage.
+	 * @param {import("./storage.js").StorageOptions} options - Almacenamiento, versión y migraciones del valor guardado.
 	 * @returns {[function(): any, function(*|function): void, function(Object|function): void]} - Array con [read, write, patch] (la función patch es sólo para cuando se está trabajando con ebjetos).
 	 */
-	useLocalStorage(key, initialValue) {
-		return HOOKS.useLocalStorage(key, initialValue, this._contextName);
+	useLocalStorage(key, initialValue, options) {
+		// Las versiones anteriores guardaban un objeto por Context con su nombre
+		return HOOKS.useLocalStorage(key, initialValue, this.storageName, { legacyKey: this._contextName, ...options });
+	}
+
+	/**
+	 * Espacio de nombres de los valores guardados del componente (useLocalStorage, useState y useBinding con key).
+	 * Los componentes se cargan bajo demanda y se crean en el orden en que llegan, así que no
+	 * puede depender del id del Context: se deriva de la posición del componente en el documento
+	 * @returns {string} nombre del espacio de los valores guardados
+	 */
+	get storageName() {
+		if (this._storageName) return this._storageName;
+		if (!this.host?.isConnected) return this._contextName;
+		this._storageName = `webeact-ctx-${storagePath(this.host)}`;
+		return this._storageName;
 	}
 
 	/**
@@ -129,10 +504,11 @@ export class Context {
 	 * Puede ser accedido desde cualquier componente.
 	 * @param {string} key - Clave en localStorage.
 	 * @param {*} initialValue - Valor inicial si no existe en localStorage.
+	 * @param {import("./storage.js").StorageOptions} options - Almacenamiento, versión y migraciones del valor guardado.
 	 * @returns {[function(): any, function(*|function): void, function(Object|function): void]} - Array con [read, write, patch] (la función patch es sólo para cuando se está trabajando con ebjetos).
 	 */
-	useGlobalLocalStorage(key, initialValue) {
-		return HOOKS.useLocalStorage("webeact-globals", key, initialValue);
+	useGlobalLocalStorage(key, initialValue, options) {
+		return HOOKS.useLocalStorage(key, initialValue, "webeact-globals", options);
 	}
 
 }
@@ -1,4 +1,38 @@
 import { Context } from "./Context.js";
+import { Hook, HookOrderError } from "./hooks/index.js";
+import { toAttributeName } from "./props.js";
+import { Bindings } from "./Bindings.js";
+import { reportClientError } from "./errorReporter.js";
+import { parseImportMap, runModule } from "./modules.js";
+import { isIdentifier } from "./utils.js";
+
+/**
+ * Evento con el que un componente envía un error a su error boundary más cercano
+ * (sube por los ancestros atravesando los shadow roots)
+ * @type {string}
+ */
+const ERROR_EVENT = "webeact-error";
+
+/**
+ * Fallback de un error boundary en el nivel superior del template
+ * @type {string}
+ */
+const ERROR_FALLBACK = 'template[data-error], slot[name="error"]';
+
+/**
+ * Tipo con el que se guardan los scripts módulo en el shadow DOM (el navegador no los ejecuta:
+ * se ejecutan con runModule para resolver sus imports)
+ * @type {string}
+ */
+const MODULE_SCRIPT = "webeact-module";
+
+/**
+ * Tipo con el que se guardan los scripts clásicos en el shadow DOM (el navegador no los ejecuta:
+ * se ejecutan como una función con el scope de la instancia)
+ * @type {string}
+ */
+const CLASSIC_SCRIPT = "webeact-script";
+
 /**
  * Clase base de la que van a heredar todos los web-components
  */
@@ -6,6 +40,26 @@ export class Element extends HTMLElement {
 	// El tiempo en el que un script externo (importado con src) es nuevamente cargado
 	static SCRIPT_TTL = 2 * 60 * 1000; // minutos
 
+	/**
+	 * Props declaradas por el componente (bloque script[data-props])
+	 * @type {Object<string, import("./props.js").PropDefinition>}
+	 */
+	static props = {};
+
+	/**
+	 * Se llama con el ShadowRoot de cada componente después de su primer renderizado
+	 * (permite observar los componentes usados dentro de los shadow roots).
+	 * El observer que retorna se desconecta al desmontar el componente
+	 * @type {function(ShadowRoot):(MutationObserver|void)|null}
+	 */
+	static onShadowRoot = null;
+
+	/**
+	 * Componentes conectados al DOM (los usa el panel de devtools)
+	 * @type {Set<Element>}
+	 */
+	static mounted = new Set();
+
 	/**
 	 * Crea una instancia de Element con el contenido del componente
 	 * @param {string} source contenido del componente
@@ -13,20 +67,43 @@ export class Element extends HTMLElement {
 	constructor(source) {
 		super();
 		this.templateSrc = source; // Contenido del componente
-		this.shadow = this.attachShadow({ mode: "open" }); // Crear un ShadowDOM
+		// Si el servidor lo renderizó (Declarative Shadow DOM) se adopta su ShadowDOM
+		this.hydrating = this.shadowRoot !== null;
+		this.shadow = this.shadowRoot ?? this.attachShadow({ mode: "open" }); // Crear un ShadowDOM
 
 		// Estados internos
 		this.pendingRender = null; // Renderizado diferido (para no hacer multiples re-renderizados)
-		this.scriptCache = new Map(); // Blobs de scripts (cache de scripts externos)
+		this.unmounted = false; // Se eliminó del DOM (y se liberaron sus hooks)
+		this.scriptCache = new Map(); // Código de los scripts externos (cache con TTL)
+		this.compiledScripts = new Map(); // Funciones de los scripts clásicos por su código
+		this.importMap = {}; // Import map del componente (<script type="importmap"> del template)
+		this.scriptsRun = null; // Ejecución en curso de los scripts (renderizado o actualización)
+		this.queuedUpdate = null; // Actualización esperando a que termine la ejecución en curso
+		this.renderStats = { count: 0, lastDuration: 0, totalDuration: 0 }; // Renderizados y sus tiempos (ms)
+		this.boundaryError = null; // Error capturado como error boundary ({error, failed, content, fallback})
+		this.usesErrorBoundary = false; // Usa useErrorBoundary (es boundary aunque no tenga fallback)
 
 		this._Context = new Context(
 			this.tagName,
 			this._deferRender.bind(this),
 			this.hasAttribute.bind(this),
-			this.getAttribute.bind(this)
+			this.getAttribute.bind(this),
+			() => this.constructor.props,
+			this
 		);
+		// Interpolaciones del template ({{nombre}}), se compilan en cada render
+		this.bindings = null;
+		// Interpolaciones del fallback de error (solo mientras se muestra)
+		this.fallbackBindings = null;
+		this.Context.onScopeChange((names) => {
+			this.bindings?.update(names);
+			this.fallbackBindings?.update(names);
+		});
+		// Errores de los descendientes (si el componente es un error boundary)
+		this.addEventListener(ERROR_EVENT, (event) => this._catchError(event));
 		// Iniciar carga diferida
 		this.render();
+		this.shadowObserver = Element.onShadowRoot?.(this.shadow) ?? null;
 	}
 
 	/**
@@ -45,8 +122,10 @@ export class Element extends HTMLElement {
 	_deferRender() {
 		this.pendingRender = true;
 		queueMicrotask(() => {
-			this.updateDynamicContent();
 			this.pendingRender = false;
+			// Desmontado mientras esperaba: sus hooks ya se liberaron
+			if (this.unmounted) return;
+			this.updateDynamicContent();
 		});
 	}
 
@@ -56,9 +135,58 @@ export class Element extends HTMLElement {
 	rendered() { }
 	// Se llama cuando el componente se conecta al DOM
 	onConnected() { }
-	// API de WC: Atributos por los que se va a disparar el attributeChangedCallback
+
+	/**
+	 * API de WC: el componente se conectó al DOM
+	 */
+	connectedCallback() {
+		// Registrar la instancia viva (para el hot reload)
+		this.constructor.instances?.add(this);
+		Element.mounted.add(this);
+		// Se volvió a montar después de desmontarse: se renderiza desde cero
+		if (this.unmounted) this.remount();
+		this.Context.connect();
+		this.onConnected();
+	}
+
+	/**
+	 * API de WC: el componente se desconectó del DOM
+	 */
+	disconnectedCallback() {
+		this.constructor.instances?.delete(this);
+		Element.mounted.delete(this);
+		// Diferido: si solo se movió en el DOM ya vuelve a estar conectado (y conserva su estado)
+		queueMicrotask(() => {
+			if (!this.isConnected && !this.unmounted) this.unmount();
+		});
+	}
+
+	/**
+	 * Desmonta el componente: ejecuta las limpiezas de sus hooks (en orden inverso),
+	 * libera su frame y la cache de los scripts externos
+	 */
+	unmount() {
+		this.unmounted = true;
+		this.Context.disconnect();
+		this.scriptCache.clear();
+		this.shadowObserver?.disconnect();
+		this.shadowObserver = null;
+	}
+
+	/**
+	 * Vuelve a montar un componente desmontado (sus hooks empiezan de cero)
+	 */
+	remount() {
+		this.unmounted = false;
+		this.boundaryError = null;
+		this.fallbackBindings = null;
+		this.shadow.replaceChildren();
+		this.render();
+		this.shadowObserver = Element.onShadowRoot?.(this.shadow) ?? null;
+	}
+	// API de WC: Atributos por los que se va a disparar el attributeChangedCallback (los de las props)
 	static get observedAttributes() {
-		return [];
+		return Object.keys(this.props).map(toAttributeName);
 	}
 
 	/**
@@ -75,19 +203,18 @@ export class Element extends HTMLElement {
 	}
 
 	/**
-	 * Re-Ejecutar los Scripts Tag marcados con data-dynamic
+	 * Re-Ejecutar los Scripts Tag marcados con data-dynamic, en orden
 	 * (Reinicia los addEventListeners)
 	 */
-	reexecuteDynamicScripts() {
-		// Reiniciar contador de hooks antes de cada re-ejecución
-		this.Context.hookIndex = 0;
-
+	async reexecuteDynamicScripts() {
 		// Limpiar scrips para evitar duplicados
 		const scripts = [...this.shadow.querySelectorAll("script[data-dynamic]")];
 		scripts.forEach((script) => script.remove()); // `remove` del DOM
 
 		// por cada script, hacer una copia y re-insertarlo al shadowDOM (para que se vuelva a ejecutar)
-		scripts.forEach(this.reexecuteSingleScript.bind(this));
+		for (const script of scripts) {
+			await this.reexecuteSingleScript(script);
+		}
 	}
 
 	/**
@@ -102,15 +229,19 @@ export class Element extends HTMLElement {
 			newScript.setAttribute(name, script.getAttribute(name));
 		});
 
-		// 4.2 - Verificar si es un script en linea o externo
-		if (script.textContent.trim()) {
+		// 4.2 - Verificar si es un módulo, un script en linea o externo
+		if (script.type === MODULE_SCRIPT) {
+			newScript.textContent = script.textContent;
+			this.shadow.appendChild(newScript);
+			await this.executeModuleScript(newScript);
+		} else if (script.textContent.trim()) {
 			// Ya no es necesario inyectar contexto y document
 			newScript.textContent = script.textContent;
 			// Re-Ejecutar script
-			this.executeScript(newScript, this.shadow);
+			this.executeScript(newScript);
 		} else if (script.hasAttribute("src")) {
 			// 4.3 - Si es un script externo
-			await this.processExternalScript(script, newScript, true, this.shadow);
+			await this.processExternalScript(script, newScript);
 		}
 	}
 
@@ -118,6 +249,7 @@ export class Element extends HTMLElement {
 	 * Función de renderizado inicial (se llama una única vez)
 	 */
 	async render() {
+		const start = performance.now();
 		try {
 			// Cargar template
 			const html = this.templateSrc;
@@ -126,57 +258,240 @@ export class Element extends HTMLElement {
 			this.template.innerHTML = html;
 			this.fragment = this.template.content.cloneNode(true);
 
+			if (this.hydrating) {
+				// El HTML del servidor tiene las interpolaciones resueltas y sin eventos (on:evento):
+				// se reemplaza por el template para compilar sus bindings
+				this.hydrating = false;
+				this.shadow.replaceChildren();
+			}
+
 			// Procesar elementos slots
 			this.processSlots(this.fragment);
 			// Inyectar en shadow DOM
 			this.shadow.appendChild(this.fragment);
+			// Compilar las interpolaciones antes de que los scripts expongan sus valores
+			this.compileBindings();
 			// Ejecutar scripts
-			await this.processScripts(this.shadow);
+			await (this.scriptsRun = this.processScripts(this.shadow));
+			this._recordRender(start);
 		} catch (error) {
-			console.error("Error al cargar el template:", error);
+			this.handleError(error, "render");
+		}
+	}
+
+	/**
+	 * Reemplaza el template del componente y lo vuelve a renderizar (hot reload)
+	 * conservando el estado de los hooks mientras su orden no cambie
+	 * @param {string} source nuevo contenido del componente
+	 */
+	async hotReload(source) {
+		this.templateSrc = source;
+		this._hookOrderError = null;
+		this.boundaryError = null;
+		this.fallbackBindings = null;
+		this.Context.prepareHotReload();
+		this.shadow.replaceChildren();
+		await this.render();
+
+		// Si el orden de los hooks cambió, el estado anterior ya no es compatible
+		if (this._hookOrderError) {
+			console.warn(`[HMR] El orden de los hooks de ${this.tagName} cambió, reiniciando su estado`);
+			this._hookOrderError = null;
+			this.Context.prepareHotReload();
+			this.Context.resetHooks();
+			this.shadow.replaceChildren();
+			await this.render();
 		}
 	}
 
 	/**
-	 * Envolver código para inyectar contexto
-	 * @param {string} code código a inyectar
-	 * @returns {string} código con el contexto document inyectado
+	 * Compila (una única vez por template) las interpolaciones del shadow DOM
 	 */
-	wrapScriptCode(code) {
-		return `
-	    {
-			${code};
-		};
-	  `;
+	compileBindings() {
+		this.bindings = new Bindings(this.Context.scope, (error) => this.handleError(error, "event")).compile(this.shadow);
 	}
 
 	/**
-	 * Ejecutar script en contexto seguro
+	 * Envía un error del componente al error boundary más cercano (un ancestro, atravesando
+	 * los shadow roots). Si ninguno lo captura se muestra en la consola y se reporta al servidor
+	 * @param {*} error error capturado
+	 * @param {"render"|"script"|"effect"|"event"|"external-script"} source dónde ocurrió el error
+	 */
+	handleError(error, source = "script") {
+		const event = new CustomEvent(ERROR_EVENT, {
+			bubbles: true,
+			composed: true,
+			cancelable: true,
+			detail: { error, component: this, source }
+		});
+		this.dispatchEvent(event);
+		if (event.defaultPrevented) return;
+
+		console.error(`Error en ${this.localName}:`, error);
+		const frame = Hook.getFrameInfo(this.Context._contextName);
+		reportClientError(error, {
+			component: this.localName,
+			source,
+			frame: frame && { id: frame.id, renderCount: frame.renderCount, hookCount: frame.hookCount }
+		});
+	}
+
+	/**
+	 * Fallback de error del template (<template data-error> o <slot name="error"> en el nivel superior)
+	 * @returns {HTMLElement|null} fallback o null si no tiene
+	 */
+	_errorFallback() {
+		return [...this.shadow.children].find((child) => child.matches(ERROR_FALLBACK)) ?? null;
+	}
+
+	/**
+	 * Si el componente captura los errores de sus descendientes (tiene fallback o usa useErrorBoundary)
+	 * @returns {boolean}
+	 */
+	get isErrorBoundary() {
+		return this.usesErrorBoundary || this._errorFallback() !== null;
+	}
+
+	/**
+	 * Captura el error de un descendiente (los errores propios van al boundary padre)
+	 * @param {CustomEvent} event evento con el error y el componente que falló
+	 */
+	_catchError(event) {
+		const { error, component } = event.detail;
+		if (component === this || this.unmounted || !this.isErrorBoundary) return;
+		event.preventDefault();
+		event.stopPropagation();
+		this.showError(error, component);
+	}
+
+	/**
+	 * Muestra el fallback de error en lugar del contenido y re-renderiza el componente
+	 * (useErrorBoundary retorna el error)
+	 * @param {*} error error capturado
+	 * @param {Element|null} component componente que falló
+	 */
+	showError(error, component = null) {
+		const first = this.boundaryError === null;
+		this.boundaryError ??= { error, failed: new Set(), content: null, fallback: null };
+		this.boundaryError.error = error;
+		if (component) this.boundaryError.failed.add(component);
+		// Diferido: el error pudo ocurrir mientras se inserta el contenido del propio boundary
+		if (first) queueMicrotask(() => this._showFallback());
+		this._deferRender();
+	}
+
+	/**
+	 * Quita el contenido (sus componentes se desmontan) y muestra el fallback
+	 */
+	_showFallback() {
+		const boundary = this.boundaryError;
+		const fallback = this._errorFallback();
+		if (!boundary || boundary.content || !fallback) return;
+
+		// Los scripts y estilos se conservan (los scripts dinámicos se siguen ejecutando)
+		boundary.content = [...this.shadow.childNodes]
+			.filter((node) => node !== fallback && !["SCRIPT", "STYLE"].includes(node.nodeName));
+		boundary.content.forEach((node) => node.remove());
+
+		if (fallback.localName === "slot") {
+			fallback.hidden = false;
+			return;
+		}
+		const container = document.createElement("div");
+		container.setAttribute("data-error-fallback", "");
+		container.append(fallback.content.cloneNode(true));
+		this.fallbackBindings = new Bindings(this.Context.scope, (err) => this.handleError(err, "event")).compile(container);
+		fallback.after(container);
+		boundary.fallback = container;
+	}
+
+	/**
+	 * Quita el fallback de error y vuelve a montar el contenido desde cero
+	 */
+	resetErrorBoundary() {
+		const boundary = this.boundaryError;
+		if (!boundary) return;
+		this.boundaryError = null;
+
+		// Los componentes con error que siguen en el DOM (ej: en el light DOM) se vuelven a montar;
+		// los del contenido quitado se montan al volver a insertarlo
+		boundary.failed.forEach((component) => {
+			if (!component.isConnected || component.unmounted) return;
+			component.unmount();
+			component.remount();
+		});
+
+		this.fallbackBindings = null;
+		boundary.fallback?.remove();
+		const fallback = this._errorFallback();
+		if (fallback?.localName === "slot") fallback.hidden = true;
+		if (boundary.content) this.shadow.prepend(...boundary.content);
+		this._deferRender();
+	}
+
+	/**
+	 * Scope de los scripts de esta instancia: los hooks y utilidades del contexto, ctx, component y doc.
+	 * Se pasan como variables a cada script, así el código asíncrono y los handlers de eventos
+	 * siempre usan su propio componente (sin globales en el window)
+	 * @returns {Object<string, *>} scope de los scripts
+	 */
+	scriptScope() {
+		return { ...this.Context.callbacks, ctx: this.Context, component: this, doc: this.shadow };
+	}
+
+	/**
+	 * Compila (una única vez por código) un script clásico como una función que recibe el scope.
+	 * El código va dentro de un bloque: sus declaraciones (ej: const doc) ocultan las del scope
+	 * en lugar de chocar con los parámetros
+	 * @param {string} code código del script
+	 * @param {string[]} names nombres de las variables del scope
+	 * @param {string|null} sourceURL nombre del script en las herramientas del navegador
+	 * @returns {Function} función del script
+	 */
+	compileScript(code, names, sourceURL) {
+		const key = `${names.join(",")}\n${code}`;
+		if (!this.compiledScripts.has(key)) {
+			const block = `{\n${code}\n}`;
+			const body = sourceURL ? `${block}\n//# sourceURL=${sourceURL}` : block;
+			this.compiledScripts.set(key, new Function(...names, body));
+		}
+		return this.compiledScripts.get(key);
+	}
+
+	/**
+	 * Ejecutar un script clásico con el scope de la instancia, dentro del frame del componente.
+	 * El script se guarda en el shadow DOM con un tipo que el navegador no ejecuta (para re-ejecutarlo)
 	 * @param {HTMLScriptElement} scriptElement elemento script para agregar al DOM
 	 */
 	executeScript(scriptElement) {
-		// Agregar funciones globales al window
-		Object.entries(this.Context.callbacks).forEach(([name, func]) => {
-			if (typeof func === "function"){
-				window[name] = func;
-			}else if (typeof func === "object"){
-				window[name] = {};
-				Object.assign(window[name], func);
+		// Un script externo pudo terminar de cargarse después de desmontar el componente
+		if (this.unmounted) return;
+		scriptElement.type = CLASSIC_SCRIPT;
+		this.shadow.appendChild(scriptElement);
+
+		const scope = this.scriptScope();
+		const names = Object.keys(scope).filter(isIdentifier);
+		const src = scriptElement.getAttribute("data-src");
+		try {
+			const run = this.compileScript(
+				scriptElement.textContent,
+				names,
+				src === null ? null : new URL(src, document.baseURI).href
+			);
+			// this es el componente
+			this.Context.wrap(() => run.apply(this, names.map((name) => scope[name])));
+		} catch (error) {
+			if (error instanceof HookOrderError) {
+				this._hookOrderError = error;
+				return;
 			}
-		});
-		// Agregar contexto al window
-		window.ctx = this.Context;
-		// Añadir referencia al this en el window
-		window.component = this;
-		// Añadir referencia al document
-		window.doc = this.shadow;
-		this.Context.wrap(() => {
-			this.shadow.appendChild(scriptElement); // Inyectar al shadowDOM
-		});
+			this.handleError(error, "script");
+		}
 	}
 
 	/**
-	 * Procesar scripts (static y dynamic)
+	 * Procesar scripts (static y dynamic) en el orden del documento: cada script espera
+	 * a que termine el anterior (también los externos y los módulos)
 	 * @param {DocumentFragment} fragment fragmento del documento a analizar
 	 */
 	async processScripts(fragment) {
@@ -185,28 +500,34 @@ export class Element extends HTMLElement {
 		// Llama al metodo remove de todos los elementos del array
 		remove_all_from(scripts);
 
+		// Los import maps se leen antes de ejecutar cualquier módulo
+		this.importMap = scripts
+			.filter((script) => script.type === "importmap")
+			.reduce((imports, script) => {
+				try {
+					return { ...imports, ...parseImportMap(script.textContent) };
+				} catch (error) {
+					console.warn(`Import map inválido en ${this.localName}:`, error);
+					return imports;
+				}
+			}, {});
+
 		for (const script of scripts) {
+			// La declaración de las props y los import maps no son código
+			if (script.hasAttribute("data-props") || script.type === "importmap") continue;
+
 			const isInline = script.textContent.trim();
 			const isExternal = script.hasAttribute("src");
+			if (!isInline && !isExternal) continue;
 
-			if (isInline || isExternal) {
-				// Crear nueva etiqueta script
-				const newScript = document.createElement("script");
-				// Copiar atributos
-				copyAttrs(script, newScript);
-				// verificar si es dinámico o no
-				const isDynamic = script.hasAttribute("data-dynamic");
-				// LLamar a las funciones que se encargan de procesar los scripts
-				(isInline // if have content
-					? this.processInlineScript.bind(this) // is inline script
-					: this.processExternalScript.bind(this))(
-					// is external script
-					script,
-					newScript,
-					isDynamic,
-					this.shadow
-				);
-			}
+			// Crear nueva etiqueta script
+			const newScript = document.createElement("script");
+			// Copiar atributos
+			copyAttrs(script, newScript);
+
+			if (script.type === "module") await this.processModuleScript(script, newScript);
+			else if (isInline) this.processInlineScript(script, newScript);
+			else await this.processExternalScript(script, newScript);
 		}
 	}
 
@@ -216,71 +537,109 @@ export class Element extends HTMLElement {
 	 * @param {HTMLScriptElement} newScript elemento Script nuevo
 	 */
 	processInlineScript(script, newScript,) {
-		// Inyectar contexto y document
-		const processedCode = this.wrapScriptCode(script.textContent);
-		newScript.textContent = processedCode;
+		newScript.textContent = script.textContent;
 
 		// Ejecutar script
 		this.executeScript(newScript);
 	}
 
 	/**
-	 * Procesar scripts externos con caché y TTL
+	 * Procesar scripts externos: el código se carga (con caché y TTL) y se ejecuta como
+	 * un script inline, dentro del frame del componente
 	 * @param {HTMLScriptElement} originalScript elemento Script del DOM
 	 * @param {HTMLScriptElement} newScript elemento Script nuevo
 	 */
 	async processExternalScript(originalScript, newScript) {
-		// 1. Obtener el src del script
 		const src = originalScript.getAttribute("src");
+		const code = await this.loadScript(src);
+		if (code === null || this.unmounted) return;
 
-		// 2. Verificar caché y TTL
-		if (this.scriptCache.has(src)) {
-			// 2:1. Obtener la cache del src
-			const cached = this.scriptCache.get(src);
-			// 2:2. Verificar si la cache del src es válida
-			const isFresh = Date.now() - cached.timestamp < Element.SCRIPT_TTL;
-
-			// 2:3. Carga desde cache
-			if (isFresh) {
-				newScript.src = cached.url;
-				this.executeScript(newScript);
+		// Sin src: el navegador ignoraría el contenido
+		newScript.removeAttribute("src");
+		newScript.setAttribute("data-src", src);
+		newScript.textContent = code;
+		this.executeScript(newScript);
+	}
+
+	/**
+	 * Procesar los scripts módulo (inline o externos): se guardan en el shadow DOM con un tipo
+	 * que el navegador no ejecuta y se ejecutan con sus imports resueltos
+	 * @param {HTMLScriptElement} script elemento Script del DOM
+	 * @param {HTMLScriptElement} newScript elemento Script nuevo
+	 */
+	async processModuleScript(script, newScript) {
+		const src = script.getAttribute("src");
+		const code = src === null ? script.textContent : await this.loadScript(src);
+		if (code === null || this.unmounted) return;
+
+		newScript.type = MODULE_SCRIPT;
+		if (src !== null) {
+			newScript.removeAttribute("src");
+			newScript.setAttribute("data-src", src);
+		}
+		newScript.textContent = code;
+		this.shadow.appendChild(newScript);
+		await this.executeModuleScript(newScript);
+	}
+
+	/**
+	 * Ejecuta un script módulo guardado en el shadow DOM. "webeact" exporta los hooks,
+	 * ctx, component y doc de esta instancia, y el resto de imports usa el import map
+	 * (el del documento combinado con el del componente)
+	 * @param {HTMLScriptElement} script script con el código del módulo
+	 */
+	async executeModuleScript(script) {
+		if (this.unmounted) return;
+		const src = script.getAttribute("data-src");
+		const base = src === null ? document.baseURI : new URL(src, document.baseURI).href;
+		try {
+			await runModule(script.textContent, {
+				scope: { ...this.scriptScope(), ...this.Context.moduleScope() },
+				imports: this.importMap,
+				base,
+				sourceURL: src === null ? undefined : base
+			});
+		} catch (error) {
+			if (error instanceof HookOrderError) {
+				this._hookOrderError = error;
 				return;
 			}
-			// 2:4. Eliminar cache expirado y continuar normalmente
-			URL.revokeObjectURL(cached.url);
-			this.scriptCache.delete(src);
+			this.handleError(error, "script");
 		}
-		// 3. Es un nuevo elemento o cache expirado
-		this._loadExternalScript(src, newScript);
 	}
 
 	/**
-	 * Hacer fetch para cargar el código del script externo
+	 * Obtener el código de un script externo (desde la caché si no expiró)
 	 * @param {string} src Valor del atributo src del script original
-	 * @param {HTMLScriptElement} newScript Elemento script nuevo
+	 * @returns {Promise<string|null>} código del script o null si no se pudo cargar
 	 */
-	async _loadExternalScript(src, newScript) {
+	async loadScript(src) {
+		// 1. Verificar caché y TTL
+		const cached = this.scriptCache.get(src);
+		if (cached && Date.now() - cached.timestamp < Element.SCRIPT_TTL) return cached.code;
+		// 2. Es un nuevo script o la cache expiró
+		this.scriptCache.delete(src);
+		return this._loadExternalScript(src);
+	}
+
+	/**
+	 * Hacer fetch para cargar el código del script externo y guardarlo en caché
+	 * @param {string} src Valor del atributo src del script original
+	 * @returns {Promise<string|null>} código del script o null si no se pudo cargar
+	 */
+	async _loadExternalScript(src) {
 		try {
-			// 4. Obtener el código del script
+			// 3. Obtener el código del script
 			const response = await fetch(src);
-			const text = await response.text();
-
-			// 5. Crear blob con código procesado (para cache y poder usar useStates)
-			const blobCode = this.wrapScriptCode(text);
-			const blob = new Blob([blobCode], { type: "application/javascript" });
-			const url = URL.createObjectURL(blob);
+			if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+			const code = await response.text();
 
-			// 6. Guardar en caché con timestamp
-			this.scriptCache.set(src, {
-				url,
-				timestamp: Date.now(),
-			});
-
-			// 7. Configurar y ejecutar el script
-			newScript.src = url; // Como el src es un ObjectURL con Blob, se ejecutará el código directamente
-			this.executeScript(newScript);
+			// 4. Guardar en caché con timestamp
+			this.scriptCache.set(src, { code, timestamp: Date.now() });
+			return code;
 		} catch (error) {
-			console.error(`Error al procesar script externo: ${src}`, error);
+			this.handleError(new Error(`Error al procesar script externo: ${src}`, { cause: error }), "external-script");
+			return null;
 		}
 	}
 
@@ -294,24 +653,56 @@ export class Element extends HTMLElement {
 			// Inicializar ARIA attributes
 			slot.setAttribute("aria-live", "polite");
 			slot.setAttribute("aria-relevant", "additions removals");
+			// El fallback de error solo se muestra cuando el componente captura un error
+			if (slot.name === "error") slot.hidden = true;
 		});
 	}
 
 	/**
-	 * Actualización dinámica basada en callbacks registrados
+	 * Actualización dinámica basada en callbacks registrados.
+	 * Espera a que terminen los scripts en curso (renderizado o actualización anterior)
+	 * @returns {Promise<void>} termina cuando se ejecutaron los scripts dinámicos
 	 */
 	updateDynamicContent() {
-		this.performUpdate();
-		this.rendered();
+		// Ya hay una actualización esperando: la incluye
+		if (this.queuedUpdate) return this.queuedUpdate;
+
+		const update = Promise.resolve(this.scriptsRun)
+			.catch(() => {})
+			.then(async () => {
+				this.queuedUpdate = null;
+				if (this.unmounted) return;
+				const start = performance.now();
+				await this.performUpdate();
+				this._recordRender(start);
+				this.rendered();
+			});
+		this.queuedUpdate = update;
+		this.scriptsRun = update;
+		return update;
+	}
+
+	/**
+	 * Registra la duración de un renderizado
+	 * @param {number} start instante (performance.now) en el que empezó
+	 */
+	_recordRender(start) {
+		const duration = performance.now() - start;
+		this.renderStats.count++;
+		this.renderStats.lastDuration = duration;
+		this.renderStats.totalDuration += duration;
 	}
 
 	/**
 	 * Llama a los dynamicCallbacks con el nuevo valor del atributo
-	 * y re-ejecuta los scripts marcados con data-dynamic
+	 * y re-ejecuta los scripts marcados con data-dynamic.
+	 * Los cambios de useBinding/expose no pasan por aquí (parchean los bindings); sí los
+	 * re-renderizados de useState, useForm, useFetch, useSSE, useStore, useRoute y de las props,
+	 * porque los scripts dinámicos tienen que volver a leer esos valores (y exponerlos)
 	 */
 	performUpdate() {
 		// Re-ejecutar scripts dinámicos
-		this.reexecuteDynamicScripts();
+		return this.reexecuteDynamicScripts();
 	}
 }
 
@@ -0,0 +1,238 @@
+import { pathToRegExp, extractParams } from "./pathToRegExp.js";
+import { toAttributeName } from "./props.js";
+
+/**
+ * @typedef RouteInfo
+ * @property {string} path pathname actual
+ * @property {Object<string, string>} params parámetros de la ruta (ej: /user/:id → { id })
+ * @property {Object<string, string>} query parámetros de la query string
+ * @property {string} hash hash de la URL
+ */
+
+/**
+ * @typedef NavigateOptions
+ * @property {boolean} [replace=false] reemplazar la entrada actual del historial en lugar de añadir una
+ * @property {*} [state=null] estado asociado a la entrada del historial
+ */
+
+// Listeners de los cambios de ruta
+const listeners = new Set();
+// Routers conectados (también los que están dentro de shadow roots)
+const routers = new Set();
+// Parámetros de la última ruta resuelta por un <web-router>
+let currentParams = {};
+
+/**
+ * Retorna la información de la ruta actual
+ * @returns {RouteInfo} ruta actual
+ */
+export function getRoute() {
+	return {
+		path: location.pathname,
+		params: { ...currentParams },
+		query: Object.fromEntries(new URLSearchParams(location.search)),
+		hash: location.hash
+	};
+}
+
+/**
+ * Suscribe una función a los cambios de ruta
+ * @param {function(RouteInfo):void} listener recibe la nueva ruta
+ * @returns {function():void} función para cancelar la suscripción
+ */
+export function onRouteChange(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * Notifica a los listeners que la ruta cambió
+ */
+function notify() {
+	// Los routers resuelven primero para que los params estén actualizados
+	routers.forEach((router) => router.resolve());
+	const route = getRoute();
+	listeners.forEach((listener) => {
+		try {
+			listener(route);
+		} catch (error) {
+			console.error('Error in route listener:', error);
+		}
+	});
+}
+
+/**
+ * Navega a otra dirección sin recargar la página (History API).
+ * Las direcciones de otro origen se cargan normalmente
+ * @param {string} to dirección de destino
+ * @param {NavigateOptions} options opciones de la navegación
+ */
+export function navigate(to, { replace = false, state = null } = {}) {
+	const url = new URL(to, location.href);
+	if (url.origin !== location.origin) {
+		location.assign(url.href);
+		return;
+	}
+	if (url.href === location.href) return;
+
+	history[replace ? "replaceState" : "pushState"](state, "", url.href);
+	notify();
+}
+
+/**
+ * Intercepta los clicks en enlaces internos para navegar sin recargar.
+ * Se usa composedPath para detectar también los enlaces dentro de los shadow roots
+ * @param {MouseEvent} event evento del click
+ */
+function interceptLinks(event) {
+	if (event.defaultPrevented || event.button !== 0) return;
+	if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+	// Sin un router en la página no hay nada que resolver en el cliente
+	if (routers.size === 0) return;
+
+	const link = event.composedPath().find((node) => node instanceof HTMLAnchorElement && node.hasAttribute("href"));
+	if (!link) return;
+	if (link.target && link.target !== "_self") return;
+	if (link.hasAttribute("download") || link.relList.contains("external")) return;
+
+	const url = new URL(link.href, location.href);
+	if (url.origin !== location.origin) return;
+	// Solo cambia el hash: se deja el comportamiento del navegador
+	if (url.pathname === location.pathname && url.search === location.search && url.hash) return;
+	// Sin una <web-route> para la dirección el navegador la carga normalmente (ej: páginas del servidor)
+	if (![...routers].some((router) => router.match(url.pathname))) return;
+
+	event.preventDefault();
+	navigate(url.href);
+}
+
+/**
+ * Decodifica los valores de los parámetros de una ruta (igual que el servidor)
+ * @param {Object<string, string>} params parámetros tal como aparecen en la dirección
+ * @returns {Object<string, string>} parámetros decodificados
+ */
+function decodeParams(params) {
+	return Object.fromEntries(Object.entries(params).map(([name, value]) => {
+		try {
+			return [name, decodeURIComponent(value)];
+		} catch {
+			// Secuencia % mal formada: se deja el valor tal cual
+			return [name, value];
+		}
+	}));
+}
+
+/**
+ * Patrón de una <web-route> (misma sintaxis que el router del servidor)
+ * @param {Element} route elemento de la ruta
+ * @returns {string}
+ */
+function routePath(route) {
+	return route.getAttribute("path") ?? "*";
+}
+
+/**
+ * clase RouteElement
+ * <web-route path="/user/:id" component="user">: declara qué componente (web-user) se monta para una ruta
+ */
+export class RouteElement extends HTMLElement {
+	connectedCallback() {
+		// Es solo una declaración, no se muestra
+		this.hidden = true;
+	}
+}
+
+/**
+ * clase RouterElement
+ * <web-router>: monta el componente de la primera <web-route> que coincide con la dirección actual.
+ * Los parámetros de la ruta se pasan como atributos al componente
+ */
+export class RouterElement extends HTMLElement {
+	constructor() {
+		super();
+		// Ruta y elemento montados actualmente
+		this._route = null;
+		this._outlet = null;
+		// Las rutas pueden añadirse después de conectar el router (ej: mientras se parsea el HTML)
+		this._observer = new MutationObserver(() => this.resolve());
+	}
+
+	connectedCallback() {
+		routers.add(this);
+		this._observer.observe(this, { childList: true });
+		this.resolve();
+	}
+
+	disconnectedCallback() {
+		routers.delete(this);
+		this._observer.disconnect();
+	}
+
+	/**
+	 * Retorna las rutas declaradas (hijos directos)
+	 * @returns {Element[]}
+	 */
+	get routes() {
+		return [...this.children].filter((child) => child.localName === "web-route");
+	}
+
+	/**
+	 * Busca la primera ruta que coincide con una dirección
+	 * @param {string} pathname pathname de la dirección
+	 * @returns {Element|undefined} la <web-route> que coincide
+	 */
+	match(pathname) {
+		return this.routes.find((candidate) => pathToRegExp(routePath(candidate)).pattern.test(pathname));
+	}
+
+	/**
+	 * Busca la ruta que coincide con la dirección actual y monta su componente
+	 */
+	resolve() {
+		const pathname = location.pathname;
+		const route = this.match(pathname);
+
+		if (!route) {
+			this._mount(null, {});
+			return;
+		}
+		const params = decodeParams(extractParams(routePath(route), pathname));
+		currentParams = params;
+		this._mount(route, params);
+	}
+
+	/**
+	 * Monta el componente de una ruta (si es la misma ruta solo se actualizan los atributos)
+	 * @param {Element|null} route ruta a montar
+	 * @param {Object<string, string>} params parámetros de la ruta
+	 */
+	_mount(route, params) {
+		if (route === null) {
+			this._outlet?.remove();
+			this._route = this._outlet = null;
+			return;
+		}
+
+		if (route !== this._route || !this._outlet) {
+			// Otra ruta: un elemento nuevo (no arrastra el estado ni los atributos de la anterior)
+			const outlet = document.createElement(`web-${route.getAttribute("component")}`);
+			if (this._outlet) this._outlet.replaceWith(outlet);
+			else this.append(outlet);
+			this._route = route;
+			this._outlet = outlet;
+		}
+
+		// Misma ruta con otros parámetros: el componente conserva su estado y reacciona a sus props
+		// (los atributos se nombran como en las páginas del servidor: userId → user-id)
+		Object.entries(params).forEach(([name, value]) => {
+			const attribute = toAttributeName(name);
+			if (this._outlet.getAttribute(attribute) !== value) this._outlet.setAttribute(attribute, value);
+		});
+	}
+}
+
+window.addEventListener("popstate", notify);
+document.addEventListener("click", interceptLinks);
+
+if (!customElements.get("web-route")) customElements.define("web-route", RouteElement);
+if (!customElements.get("web-router")) customElements.define("web-router", RouterElement);
@@ -0,0 +1,228 @@
+import { Element } from "./Element.js";
+import { Hook, HookType } from "./hooks/index.js";
+
+/**
+ * Cada cuánto se actualiza el panel mientras está abierto (ms)
+ * @type {number}
+ */
+const REFRESH_INTERVAL = 1000;
+
+/**
+ * Longitud máxima de los valores mostrados
+ * @type {number}
+ */
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Estilos del panel
+ * @type {string}
+ */
+const STYLE = `
+	:host { position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; font: 12px/1.4 ui-monospace, monospace; color: #e6e6e6; }
+	button.toggle { background: #1e1e2e; color: inherit; border: 1px solid #444; border-radius: 6px; padding: 4px 10px; cursor: pointer; }
+	.panel { width: 420px; max-height: 60vh; overflow: auto; margin-bottom: 6px; background: #1e1e2e; border: 1px solid #444; border-radius: 6px; padding: 8px; }
+	.panel[hidden] { display: none; }
+	details { border-bottom: 1px solid #333; padding: 4px 0; }
+	summary { cursor: pointer; }
+	.meta { color: #999; }
+	.hook { display: flex; gap: 6px; padding: 2px 0 2px 12px; }
+	.type { color: #89b4fa; min-width: 110px; }
+	.value { color: #a6e3a1; word-break: break-all; }
+	input { flex: 1; background: #11111b; color: inherit; border: 1px solid #444; font: inherit; }
+	.stats { color: #999; padding-top: 6px; }
+`;
+
+/**
+ * Convierte un valor en un texto corto para mostrarlo
+ * @param {*} value valor a mostrar
+ * @param {number} maxLength longitud máxima del texto
+ * @returns {string} texto del valor
+ */
+function preview(value, maxLength = PREVIEW_LENGTH) {
+	let text;
+	try {
+		text = JSON.stringify(value, (_key, item) => {
+			if (typeof item === "function") return "ƒ";
+			if (item instanceof Set || item instanceof Map) return [...item];
+			if (item instanceof Node) return `<${item.nodeName.toLowerCase()}>`;
+			return item;
+		}) ?? String(value);
+	} catch {
+		text = String(value);
+	}
+	return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Convierte el texto editado en un valor (JSON si se puede, si no el texto plano)
+ * @param {string} text texto editado
+ * @returns {*} nuevo valor
+ */
+function parseValue(text) {
+	try {
+		return JSON.parse(text);
+	} catch {
+		return text;
+	}
+}
+
+/**
+ * Crea un elemento con su clase y su texto
+ * @param {string} tag nombre de la etiqueta
+ * @param {string} className clase del elemento
+ * @param {string} text texto del elemento
+ * @returns {HTMLElement} elemento creado
+ */
+function element(tag, className = "", text = "") {
+	const node = document.createElement(tag);
+	if (className) node.className = className;
+	if (text) node.textContent = text;
+	return node;
+}
+
+/**
+ * Valor que se muestra de cada hook (el de los estados es editable)
+ * @param {Hook} hook hook del frame
+ * @returns {*} valor del hook
+ */
+function hookValue(hook) {
+	const data = hook.get();
+	switch (hook.type) {
+		case HookType.StateHook: return data?.value;
+		case HookType.ReducerHook: return data?.state;
+		case HookType.ContextHook: {
+			const consumer = data?.consumer;
+			return consumer && { [consumer.context.name]: consumer.provider ? consumer.provider.value : consumer.context.defaultValue };
+		}
+		case HookType.ProviderHook: return data?.provider && { [data.provider.context.name]: data.provider.value };
+		default: return data;
+	}
+}
+
+/**
+ * Panel que muestra los componentes montados, sus hooks y sus renderizados,
+ * y permite editar el valor de los estados en vivo
+ */
+export class DevtoolsElement extends HTMLElement {
+	constructor() {
+		super();
+		this.shadow = this.attachShadow({ mode: "open" });
+		this.timer = null;
+		// Componentes desplegados (se conservan entre actualizaciones del panel)
+		this.expanded = new WeakSet();
+
+		const style = element("style");
+		style.textContent = STYLE;
+		this.panel = element("div", "panel");
+		this.panel.hidden = true;
+		const toggle = element("button", "toggle", "webeact devtools");
+		toggle.addEventListener("click", () => this.toggle());
+		this.shadow.append(style, this.panel, toggle);
+	}
+
+	/**
+	 * API de WC: el panel se desconectó del DOM
+	 */
+	disconnectedCallback() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Abre o cierra el panel (solo se actualiza mientras está abierto)
+	 */
+	toggle() {
+		this.panel.hidden = !this.panel.hidden;
+		clearInterval(this.timer);
+		this.timer = null;
+		if (this.panel.hidden) return;
+
+		this.refresh();
+		this.timer = setInterval(() => this.refresh(), REFRESH_INTERVAL);
+	}
+
+	/**
+	 * Vuelve a dibujar el panel (salvo mientras se edita un valor)
+	 */
+	refresh() {
+		if (this.shadow.activeElement?.localName === "input") return;
+
+		const components = [...Element.mounted].sort((a, b) => a.tagName.localeCompare(b.tagName));
+		const stats = Hook.getStats();
+		this.panel.replaceChildren(
+			...components.map((component) => this.renderComponent(component)),
+			element("div", "stats", `${components.length} componentes · ${stats.totalHooks} hooks · ${stats.frames.total} frames`)
+		);
+	}
+
+	/**
+	 * Crea la entrada de un componente con sus renderizados y sus hooks
+	 * @param {Element} component componente montado
+	 * @returns {HTMLElement} entrada del componente
+	 */
+	renderComponent(component) {
+		const frameId = component.Context._contextName;
+		const frame = Hook.getFrameInfo(frameId);
+		const { count, lastDuration, totalDuration } = component.renderStats;
+
+		const details = element("details");
+		details.open = this.expanded.has(component);
+		details.addEventListener("toggle", () => {
+			if (details.open) this.expanded.add(component);
+			else this.expanded.delete(component);
+		});
+
+		const summary = element("summary", "", `<${component.localName}> `);
+		summary.append(element("span", "meta",
+			`${count} renders · último ${lastDuration.toFixed(1)} ms · media ${(count ? totalDuration / count : 0).toFixed(1)} ms · ` +
+			`${frame?.hookCount ?? 0} hooks · ${frame?.renderCount ?? 0} ejecuciones`
+		));
+		details.append(summary, ...Hook.getFrameHooks(frameId).map((entry) => this.renderHook(entry, component)));
+		return details;
+	}
+
+	/**
+	 * Crea la fila de un hook (los estados se pueden editar)
+	 * @param {{frameIndex: number, hook: Hook}} entry hook del frame
+	 * @param {Element} component componente al que pertenece
+	 * @returns {HTMLElement} fila del hook
+	 */
+	renderHook({ frameIndex, hook }, component) {
+		const row = element("div", "hook");
+		row.append(element("span", "type", `${frameIndex} ${hook.type.description}`));
+
+		if (hook.type !== HookType.StateHook) {
+			row.append(element("span", "value", preview(hookValue(hook))));
+			return row;
+		}
+
+		const input = element("input");
+		input.value = preview(hookValue(hook), Infinity);
+		input.title = "Enter para aplicar (JSON o texto)";
+		input.addEventListener("change", () => {
+			const value = parseValue(input.value);
+			const { setter } = hook.get() ?? {};
+			// El setter del componente avisa a los listeners, guarda el valor (storageKey)
+			// y actualiza el template (useBinding) o re-renderiza (useState)
+			if (typeof setter === "function") {
+				setter(value);
+			} else {
+				hook.patch({ value });
+				component._deferRender();
+			}
+			input.blur();
+		});
+		row.append(input);
+		return row;
+	}
+}
+
+if (!customElements.get("webeact-devtools")) customElements.define("webeact-devtools", DevtoolsElement);
+
+/**
+ * Añade el panel de devtools a la página (una única vez)
+ */
+export function mountDevtools() {
+	if (document.querySelector("webeact-devtools")) return;
+	document.body.append(document.createElement("webeact-devtools"));
+}
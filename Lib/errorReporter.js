@@ -0,0 +1,136 @@
+/**
+ * @typedef ClientErrorInfo
+ * @property {string} [component] etiqueta del componente que falló
+ * @property {"render"|"script"|"effect"|"event"|"external-script"|"window"|"unhandledrejection"} [source] dónde ocurrió el error
+ * @property {{id: string, renderCount: number, hookCount: number}|null} [frame] información del frame de hooks del componente
+ */
+
+/**
+ * Errores que se envían juntos como máximo (si se llega antes, se envían sin esperar)
+ * @type {number}
+ */
+const BATCH_SIZE = 10;
+
+/**
+ * Tiempo que se espera para juntar errores antes de enviarlos (ms)
+ * @type {number}
+ */
+const FLUSH_DELAY = 2000;
+
+/**
+ * Errores guardados como máximo mientras no se pueden enviar (se descartan los más viejos)
+ * @type {number}
+ */
+const MAX_QUEUE = 50;
+
+// Dirección a la que se envían los errores (null mientras el servidor no active el reporte)
+let endpoint = null;
+// Errores pendientes de enviar
+const queue = [];
+// Envío programado
+let timer = null;
+// Errores ya reportados (el mismo error puede llegar desde un componente y desde window)
+const reported = new WeakSet();
+
+/**
+ * Convierte un error en un objeto que se puede enviar como JSON
+ * @param {*} error error capturado
+ * @returns {{name: string, message: string, stack: string|null}} datos del error
+ */
+function serializeError(error) {
+	// No se usa instanceof: el error puede venir de otro realm (ej: un iframe)
+	if (typeof error?.message === "string") {
+		return { name: error.name ?? "Error", message: error.message, stack: error.stack ?? null };
+	}
+	return { name: "Error", message: String(error), stack: null };
+}
+
+/**
+ * Programa el envío de los errores pendientes
+ */
+function schedule() {
+	if (!endpoint || queue.length === 0) return;
+	if (queue.length >= BATCH_SIZE) {
+		flushClientErrors();
+		return;
+	}
+	timer ??= setTimeout(flushClientErrors, FLUSH_DELAY);
+}
+
+/**
+ * Envía ahora todos los errores pendientes
+ */
+export function flushClientErrors() {
+	clearTimeout(timer);
+	timer = null;
+	if (!endpoint || queue.length === 0) return;
+
+	const errors = queue.splice(0, queue.length);
+	fetch(endpoint, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ errors }),
+		// Se envía aunque la página se esté cerrando
+		keepalive: true
+	}).catch((error) => console.warn(`No se pudieron enviar los errores al servidor: ${error}`));
+}
+
+/**
+ * Guarda un error no capturado de un componente para enviarlo al servidor
+ * (se envían en lotes cuando el servidor activa el reporte). Un error repetido
+ * mientras está pendiente de enviar solo incrementa su contador
+ * @param {*} error error capturado
+ * @param {ClientErrorInfo} info componente, origen y frame del error
+ */
+export function reportClientError(error, info = {}) {
+	if (typeof error === "object" && error !== null) {
+		if (reported.has(error)) return;
+		reported.add(error);
+	}
+
+	const entry = { ...serializeError(error), ...info };
+	const repeated = queue.find((queued) =>
+		queued.name === entry.name && queued.message === entry.message && queued.stack === entry.stack &&
+		queued.component === entry.component && queued.source === entry.source
+	);
+	if (repeated) {
+		repeated.count++;
+		return;
+	}
+
+	queue.push({ ...entry, count: 1, url: location.href, time: new Date().toISOString() });
+	if (queue.length > MAX_QUEUE) queue.shift();
+	schedule();
+}
+
+/**
+ * Reporta los errores que no pasan por ningún componente (scripts de la página, callbacks, timers…)
+ * @param {ErrorEvent} event error no capturado
+ */
+function onWindowError(event) {
+	// Los errores de scripts de otro origen llegan sin el error ("Script error.")
+	reportClientError(event.error ?? event.message, { source: "window" });
+}
+
+/**
+ * Reporta las promesas rechazadas que nadie captura
+ * @param {PromiseRejectionEvent} event rechazo no capturado
+ */
+function onUnhandledRejection(event) {
+	reportClientError(event.reason, { source: "unhandledrejection" });
+}
+
+if (typeof window !== "undefined") {
+	window.addEventListener("error", onWindowError);
+	window.addEventListener("unhandledrejection", onUnhandledRejection);
+}
+
+/**
+ * Activa el envío de los errores (los guardados hasta ahora también se envían)
+ * @param {string} url dirección a la que se envían los errores
+ */
+export function enableErrorReporting(url) {
+	if (endpoint === null) window.addEventListener("pagehide", flushClientErrors);
+	endpoint = url;
+	schedule();
+}
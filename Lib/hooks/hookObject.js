@@ -15,8 +15,24 @@ export const HookType = Object.freeze({
 	MemoHook: Symbol("memo"),
 	ReducerHook: Symbol("reducer"),
 	IDHook: Symbol("id"),
+	FormHook: Symbol("form"),
+	FetchHook: Symbol("fetch"),
+	SSEHook: Symbol("sse"),
+	ContextHook: Symbol("context"),
+	ProviderHook: Symbol("provider"),
+	StoreHook: Symbol("store"),
 });
 
+/**
+ * Error que se lanza cuando el orden de los hooks de un frame cambia entre renderizados
+ */
+export class HookOrderError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "HookOrderError";
+	}
+}
+
 /**
  * Mutex simple para sincronización en entornos multi-threaded
  */
@@ -110,6 +126,13 @@ export class Hook {
 	 */
 	static _currentFrameHookIndex = 0;
 
+	/**
+	 * Frames exteriores suspendidos mientras se ejecuta un frame anidado
+	 * (ej: un componente hijo que se renderiza dentro del script del padre)
+	 * @type {Array<{frameId: string, hookIndex: number}>}
+	 */
+	static _frameStack = [];
+
 
 	/**
 	 * Crea un hook en el espacio global
@@ -324,6 +347,7 @@ export class Hook {
 			Hook._hooks.clear();
 			Hook._typeIndex.clear();
 			Hook._frames.clear();
+			Hook._frameStack = [];
 			Hook._hookCounter = 0;
 			Hook._currentFrame = null;
 			Hook._currentFrameHookIndex = 0;
@@ -385,18 +409,24 @@ export class Hook {
 	 */
 
 	/**
-	 * Inicia un nuevo frame de hooks
+	 * Inicia un nuevo frame de hooks. Si ya hay un frame activo se suspende
+	 * y se restaura al terminar el nuevo (endFrame)
 	 * @param {string} frameId Identificador único del frame
 	 * @param {Object} options Opciones del frame
+	 * @param {number} hookIndex índice desde el que se continúa (mayor a 0 continúa el mismo renderizado)
 	 * @returns {void}
 	 */
-	static startFrame(frameId, options = {}) {
+	static startFrame(frameId, options = {}, hookIndex = 0) {
+		if (Hook._currentFrame === frameId || Hook._frameStack.some(outer => outer.frameId === frameId)) {
+			throw new Error(`Frame '${frameId}' is already active. End it before starting it again.`);
+		}
+
 		if (Hook._currentFrame) {
-			throw new Error(`Frame '${Hook._currentFrame}' is already active. End it before starting a new one.`);
+			Hook._frameStack.push({ frameId: Hook._currentFrame, hookIndex: Hook._currentFrameHookIndex });
 		}
 
 		Hook._currentFrame = frameId;
-		Hook._currentFrameHookIndex = 0;
+		Hook._currentFrameHookIndex = hookIndex;
 
 		// Crear o reutilizar frame existente
 		if (!Hook._frames.has(frameId)) {
@@ -412,14 +442,15 @@ export class Hook {
 		} else {
 			// Actualizar frame existente
 			const frame = Hook._frames.get(frameId);
+			frame.options = { ...frame.options, ...options };
 			frame.lastUsed = Date.now();
-			frame.renderCount++;
+			if (hookIndex === 0) frame.renderCount++;
 			frame.isActive = true;
 		}
 	}
 
 	/**
-	 * Finaliza el frame actual
+	 * Finaliza el frame actual (y reanuda el frame exterior, si lo había)
 	 * @returns {Object|null} Estadísticas del frame terminado
 	 */
 	static endFrame() {
@@ -441,12 +472,20 @@ export class Hook {
 			renderCount: frame?.renderCount || 0
 		};
 
-		Hook._currentFrame = null;
-		Hook._currentFrameHookIndex = 0;
+		Hook._resumeOuterFrame();
 
 		return stats;
 	}
 
+	/**
+	 * Reanuda el último frame suspendido por startFrame (o deja ninguno activo)
+	 */
+	static _resumeOuterFrame() {
+		const outer = Hook._frameStack.pop();
+		Hook._currentFrame = outer?.frameId ?? null;
+		Hook._currentFrameHookIndex = outer?.hookIndex ?? 0;
+	}
+
 	/**
 	 * Ejecuta una función dentro de un frame
 	 * @param {string} frameId Identificador del frame
@@ -480,7 +519,7 @@ export class Hook {
 
 		// Verificar que el tipo coincida para evitar errores
 		if (hookInstance.type !== expectedType) {
-			throw new Error(
+			throw new HookOrderError(
 				`Hook type mismatch at frame '${frameId}' index ${frameIndex}. ` +
 				`Expected ${expectedType.toString()}, got ${hookInstance.type.toString()}`
 			);
@@ -502,6 +541,36 @@ export class Hook {
 		}
 	}
 
+	/**
+	 * Obtiene los hooks registrados en un frame ordenados por su índice
+	 * @param {string} frameId ID del frame
+	 * @returns {Array<{frameIndex: number, hook: Hook}>}
+	 */
+	static getFrameHooks(frameId) {
+		const frame = Hook._frames.get(frameId);
+		if (!frame) return [];
+
+		return Array.from(frame.hooks.entries())
+			.sort(([a], [b]) => a - b)
+			.map(([frameIndex, hook]) => ({ frameIndex, hook }));
+	}
+
+	/**
+	 * Elimina un hook de un frame (en el siguiente renderizado se vuelve a crear)
+	 * @param {string} frameId ID del frame
+	 * @param {number} frameIndex Índice del hook en el frame
+	 * @returns {boolean} true si el hook existía
+	 */
+	static removeFrameHook(frameId, frameIndex) {
+		const frame = Hook._frames.get(frameId);
+		const hookInstance = frame?.hooks.get(frameIndex);
+		if (!hookInstance) return false;
+
+		hookInstance.destroy();
+		frame.hooks.delete(frameIndex);
+		return true;
+	}
+
 	/**
 	 * Obtiene información de un frame específico
 	 * @param {string} frameId ID del frame
@@ -557,16 +626,40 @@ export class Hook {
 
 		// Remover el frame
 		Hook._frames.delete(frameId);
+		Hook._frameStack = Hook._frameStack.filter(outer => outer.frameId !== frameId);
 
-		// Si era el frame actual, limpiarlo
+		// Si era el frame actual, reanudar el exterior
 		if (Hook._currentFrame === frameId) {
-			Hook._currentFrame = null;
-			Hook._currentFrameHookIndex = 0;
+			Hook._resumeOuterFrame();
 		}
 
 		return true;
 	}
 
+	/**
+	 * Entrega un error al handler onError de las opciones de un frame
+	 * (errores de efectos o listeners creados dentro del frame)
+	 * @param {*} error error capturado
+	 * @param {string|null} frameId ID del frame (por defecto el frame actual)
+	 * @param {string} source dónde ocurrió el error (ej: "effect", "event")
+	 * @returns {boolean} true si el frame tenía un handler para el error
+	 */
+	static reportError(error, frameId = Hook._currentFrame, source = undefined) {
+		const onError = Hook._frames.get(frameId)?.options.onError;
+		if (typeof onError !== "function") return false;
+		onError(error, source);
+		return true;
+	}
+
+	/**
+	 * Obtiene las opciones de un frame (ej: root, onError)
+	 * @param {string|null} frameId ID del frame (por defecto el frame actual)
+	 * @returns {Object} opciones del frame (vacío si no existe)
+	 */
+	static getFrameOptions(frameId = Hook._currentFrame) {
+		return Hook._frames.get(frameId)?.options ?? {};
+	}
+
 	/**
 	 * Obtiene el frame actual
 	 * @returns {string|null}
@@ -1,16 +1,23 @@
-export { Hook, HookType } from "./hooks/hookObject";
-import { useState } from "./hooks/useState";
-import { useRef } from "./hooks/useRef";
-import { useEffect } from "./hooks/useEffect";
-import { useViewTransition } from "./hooks/useViewTransition";
-import { useLocalStorage } from "./hooks/useLocalStorage";
-import { useEventListener } from "./hooks/useEventListener";
-import { useQuerySelector } from "./hooks/useQuerySelector";
-import { useMediaQuery } from "./hooks/useMediaQuery";
-import { useCallback } from "./hooks/useCallback";
-import { useMemo } from "./hooks/useMemo";
-import { useReducer } from "./hooks/useReducer";
-import { useId } from "./hooks/useId";
+export { Hook, HookType, HookOrderError } from "./hookObject.js";
+export { createContext, resolvePendingContexts } from "./useContext.js";
+import { useState } from "./useState.js";
+import { useRef } from "./useRef.js";
+import { useEffect } from "./useEffect.js";
+import { useViewTransition } from "./useViewTransition.js";
+import { useLocalStorage } from "./useLocalStorage.js";
+import { useEventListener } from "./useEventListener.js";
+import { useQuerySelector } from "./useQuerySelector.js";
+import { useMediaQuery } from "./useMediaQuery.js";
+import { useCallback } from "./useCallback.js";
+import { useMemo } from "./useMemo.js";
+import { useReducer } from "./useReducer.js";
+import { useId } from "./useId.js";
+import { useForm } from "./useForm.js";
+import { useRoute } from "./useRoute.js";
+import { useFetch } from "./useFetch.js";
+import { useSSE } from "./useSSE.js";
+import { useContext, useProvider } from "./useContext.js";
+import { useStore } from "./useStore.js";
 
 export const HOOKS = {
 	useState,
@@ -24,5 +31,12 @@ export const HOOKS = {
 	useCallback,
 	useMemo,
 	useReducer,
-	useId
+	useId,
+	useForm,
+	useRoute,
+	useFetch,
+	useSSE,
+	useContext,
+	useProvider,
+	useStore
 };
@@ -1,5 +1,5 @@
-import { Hook, HookType } from "./hookObject";
-import { compareArrays } from "../utils";
+import { Hook, HookType } from "./hookObject.js";
+import { compareArrays } from "../utils.js";
 
 
 /**
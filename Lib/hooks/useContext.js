@@ -0,0 +1,184 @@
+import { Hook, HookType } from "./hookObject.js";
+
+/**
+ * Nombre del evento con el que un consumidor busca el proveedor de un contexto
+ * (sube por los ancestros atravesando los shadow roots)
+ * @type {string}
+ */
+const CONTEXT_REQUEST = "webeact-context-request";
+
+/**
+ * @typedef SharedContext
+ * @property {symbol} key identificador único del contexto (dos createContext con el mismo nombre son contextos distintos)
+ * @property {string} name nombre del contexto (para mostrarlo en las devtools)
+ * @property {*} defaultValue valor cuando ningún ancestro lo provee
+ */
+
+/**
+ * @typedef ContextProvider
+ * @property {SharedContext} context contexto que provee
+ * @property {*} value valor actual
+ * @property {HTMLElement} host componente que lo provee
+ * @property {Set<ContextConsumer>} consumers consumidores suscritos
+ */
+
+/**
+ * @typedef ContextConsumer
+ * @property {SharedContext} context contexto que consume
+ * @property {HTMLElement} host componente que lo consume
+ * @property {ContextProvider|null} provider proveedor encontrado (null mientras no lo encuentre)
+ * @property {function():void} onChange se llama cuando cambia el valor o el proveedor
+ */
+
+/**
+ * Consumidores que todavía no encontraron su proveedor
+ * (el script del proveedor se ejecuta después de montar sus hijos)
+ * @type {Set<ContextConsumer>}
+ */
+const pending = new Set();
+
+/**
+ * Evento que un consumidor lanza desde su componente para encontrar al proveedor más cercano
+ */
+class ContextRequestEvent extends Event {
+	/**
+	 * @param {SharedContext} context contexto que se busca
+	 */
+	constructor(context) {
+		super(CONTEXT_REQUEST, { bubbles: true, composed: true });
+		this.context = context;
+		this.provider = null;
+	}
+}
+
+/**
+ * Crea un contexto compartido entre componentes. Cada llamada crea un contexto distinto:
+ * para compartirlo, el proveedor y los consumidores importan el mismo objeto (p. ej. desde un módulo compartido)
+ * @param {string} name nombre del contexto (para mostrarlo en las devtools)
+ * @param {*} defaultValue valor cuando ningún ancestro lo provee
+ * @returns {SharedContext} contexto
+ */
+export function createContext(name, defaultValue) {
+	return Object.freeze({ key: Symbol(name), name, defaultValue });
+}
+
+/**
+ * Busca el proveedor más cercano de un contexto para un componente
+ * @param {HTMLElement} host componente que lo consume
+ * @param {SharedContext} context contexto que se busca
+ * @returns {ContextProvider|null} proveedor encontrado
+ */
+function requestProvider(host, context) {
+	const event = new ContextRequestEvent(context);
+	host.dispatchEvent(event);
+	return event.provider;
+}
+
+/**
+ * Conecta un consumidor con su proveedor (si no lo encuentra queda pendiente)
+ * @param {ContextConsumer} consumer consumidor del contexto
+ * @returns {boolean} true si encontró el proveedor
+ */
+function attach(consumer) {
+	const provider = requestProvider(consumer.host, consumer.context);
+	if (!provider) {
+		pending.add(consumer);
+		return false;
+	}
+
+	pending.delete(consumer);
+	consumer.provider = provider;
+	provider.consumers.add(consumer);
+	return true;
+}
+
+/**
+ * Vuelve a buscar el proveedor de los consumidores pendientes
+ * (al registrarse un proveedor o al conectarse un componente al DOM)
+ */
+export function resolvePendingContexts() {
+	[...pending].forEach((consumer) => {
+		if (attach(consumer)) consumer.onChange();
+	});
+}
+
+/**
+ * Lee el valor de un contexto provisto por algún componente ancestro (atravesando los shadow roots).
+ * onChange se llama cuando el valor provisto cambia o cuando cambia el proveedor
+ * @param {SharedContext} context contexto a leer (creado con createContext)
+ * @param {HTMLElement} host componente que lo consume
+ * @param {function():void} onChange función que se llama cuando cambia el valor
+ * @returns {*} valor del proveedor más cercano (o el valor por defecto del contexto)
+ */
+export function useContext(context, host, onChange = () => {}) {
+	const contextHook = new Hook({ consumer: null, cleanup: null }, HookType.ContextHook);
+
+	let { consumer } = contextHook.get();
+	if (!consumer) {
+		consumer = { context, host, provider: null, onChange };
+		contextHook.patch({
+			consumer,
+			cleanup: () => {
+				consumer.provider?.consumers.delete(consumer);
+				consumer.provider = null;
+				pending.delete(consumer);
+			}
+		});
+		attach(consumer);
+	}
+	// El callback puede cambiar entre renderizados
+	consumer.onChange = onChange;
+
+	return consumer.provider ? consumer.provider.value : context.defaultValue;
+}
+
+/**
+ * Provee el valor de un contexto a todos los componentes descendientes (también dentro de sus shadow roots).
+ * Cuando el valor cambia se re-renderizan los consumidores
+ * @param {SharedContext} context contexto a proveer (creado con createContext)
+ * @param {*} value valor provisto
+ * @param {HTMLElement} host componente que lo provee
+ */
+export function useProvider(context, value, host) {
+	const providerHook = new Hook({ provider: null, cleanup: null }, HookType.ProviderHook);
+
+	const { provider } = providerHook.get();
+	if (provider) {
+		if (!Object.is(provider.value, value)) {
+			provider.value = value;
+			provider.consumers.forEach((consumer) => consumer.onChange());
+		}
+		return;
+	}
+
+	/** @type {ContextProvider} */
+	const newProvider = { context, value, host, consumers: new Set() };
+
+	/**
+	 * Responde a las peticiones de los descendientes (no a las del propio componente)
+	 * @param {ContextRequestEvent} event petición del consumidor
+	 */
+	const onRequest = (event) => {
+		if (event.context.key !== context.key || event.composedPath()[0] === host) return;
+		event.stopPropagation();
+		event.provider = newProvider;
+	};
+	host.addEventListener(CONTEXT_REQUEST, onRequest);
+
+	providerHook.patch({
+		provider: newProvider,
+		cleanup: () => {
+			host.removeEventListener(CONTEXT_REQUEST, onRequest);
+			// Los consumidores buscan otro proveedor (o vuelven al valor por defecto)
+			const consumers = [...newProvider.consumers];
+			newProvider.consumers.clear();
+			consumers.forEach((consumer) => {
+				consumer.provider = null;
+				attach(consumer);
+				consumer.onChange();
+			});
+		}
+	});
+
+	resolvePendingContexts();
+}
@@ -1,4 +1,4 @@
-import { Hook, HookType } from "./hookObject";
+import { Hook, HookType } from "./hookObject.js";
 
 /**
 * Hook para que una función se ejecute 1 vez (la primera vez)
@@ -15,6 +15,8 @@ export function useEffect(effect, dependencies = []) {
 		hasRun: false,
 		isActive: true
 	}, HookType.EffectHook);
+	// Los errores del efecto se entregan al frame en el que se creó
+	const frameId = Hook.getCurrentFrame();
 
 	const dependenciesChanged = (oldDeps, newDeps) => {
 		if (oldDeps.length !== newDeps.length) return true;
@@ -36,7 +38,7 @@ export function useEffect(effect, dependencies = []) {
 				hasRun: true
 			});
 		} catch (error) {
-			console.error('Error in effect execution:', error);
+			if (!Hook.reportError(error, frameId, "effect")) console.error('Error in effect execution:', error);
 		}
 	};
 
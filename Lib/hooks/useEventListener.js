@@ -1,7 +1,7 @@
-import { Hook, HookType } from "./hookObject";
-import { useRef } from "./useRef";
-import { useEffect } from "./useEffect";
-import { useQuerySelector } from "./useQuerySelector";
+import { Hook, HookType } from "./hookObject.js";
+import { useRef } from "./useRef.js";
+import { useEffect } from "./useEffect.js";
+import { useQuerySelector } from "./useQuerySelector.js";
 
 
 /**
@@ -49,6 +49,8 @@ export function useEventListener(
 	}, HookType.EventListenerHook);
 
 	const data = eventListenerHook.get();
+	// Los errores del handler se entregan al frame en el que se creó
+	const frameId = Hook.getCurrentFrame();
 
 	const savedHandler = useRef(data.handler);
 
@@ -62,7 +64,11 @@ export function useEventListener(
 		if (!(targetElement && targetElement.addEventListener)) return;
 
 		const listener = event => {
-			savedHandler.current(event)
+			try {
+				savedHandler.current(event)
+			} catch (error) {
+				if (!Hook.reportError(error, frameId, "event")) throw error;
+			}
 		}
 
 		targetElement.addEventListener(data.eventName, listener, data.options);
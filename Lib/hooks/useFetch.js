@@ -0,0 +1,199 @@
+import { Hook, HookType } from "./hookObject.js";
+
+/**
+ * @typedef FetchOptions
+ * @property {string} [key] clave de la cache (por defecto el método y la url)
+ * @property {number} [staleTime=0] milisegundos que los datos de la cache se consideran frescos (después se revalidan)
+ * @property {"json"|"text"|"blob"|function(Response): Promise<*>} [parse="json"] cómo leer la respuesta
+ * @property {boolean} [enabled=true] si es false no se hace la petición
+ */
+
+/**
+ * @typedef FetchState
+ * @property {*} data datos de la respuesta (los de la cache mientras se revalida)
+ * @property {Error|null} error error de la última petición
+ * @property {boolean} loading si se está cargando y todavía no hay datos
+ * @property {boolean} validating si hay una petición en curso (también al revalidar)
+ * @property {function(): Promise<void>} refetch vuelve a hacer la petición
+ */
+
+/**
+ * @typedef CacheEntry
+ * @property {*} data últimos datos recibidos
+ * @property {Error|null} error error de la última petición
+ * @property {number} updatedAt momento en el que se recibieron los datos
+ * @property {Promise<void>|null} promise petición en curso (compartida por todos los componentes)
+ * @property {AbortController|null} controller controlador para cancelar la petición en curso
+ * @property {Set<Function>} subscribers componentes que usan esta entrada
+ * @property {number|null} evictTimer temporizador que elimina la entrada cuando ya nadie la usa
+ */
+
+/**
+ * Cache compartida por todos los componentes: clave -> entrada
+ * @type {Map<string, CacheEntry>}
+ */
+const cache = new Map();
+
+/**
+ * Retorna (o crea) la entrada de la cache de una clave
+ * @param {string} key clave de la petición
+ * @returns {CacheEntry}
+ */
+function entryOf(key) {
+	if (!cache.has(key)) {
+		cache.set(key, {
+			data: undefined,
+			error: null,
+			updatedAt: 0,
+			promise: null,
+			controller: null,
+			subscribers: new Set(),
+			evictTimer: null
+		});
+	}
+	return cache.get(key);
+}
+
+/**
+ * Clave por defecto de una petición
+ * @param {string} url dirección de la petición
+ * @param {RequestInit} init opciones del fetch
+ * @returns {string}
+ */
+function requestKey(url, init) {
+	const method = (init.method ?? "GET").toUpperCase();
+	const body = typeof init.body === "string" ? ` ${init.body}` : "";
+	return `${method} ${url}${body}`;
+}
+
+/**
+ * Lee el cuerpo de una respuesta
+ * @param {Response} response respuesta del fetch
+ * @param {FetchOptions["parse"]} parse cómo leer la respuesta
+ * @returns {Promise<*>}
+ */
+function parseResponse(response, parse) {
+	if (typeof parse === "function") return parse(response);
+	if (parse === "text") return response.text();
+	if (parse === "blob") return response.blob();
+	// Respuestas sin contenido
+	if (response.status === 204) return Promise.resolve(null);
+	return response.json();
+}
+
+/**
+ * Hace la petición de una clave (si ya hay una en curso se reutiliza)
+ * y notifica a todos los componentes que la usan cuando termina
+ * @param {string} key clave de la petición
+ * @param {string} url dirección de la petición
+ * @param {RequestInit} init opciones del fetch
+ * @param {FetchOptions["parse"]} parse cómo leer la respuesta
+ * @returns {Promise<void>}
+ */
+function load(key, url, init, parse) {
+	const entry = entryOf(key);
+	if (entry.promise) return entry.promise;
+
+	const controller = new AbortController();
+	entry.controller = controller;
+	entry.promise = fetch(url, { ...init, signal: controller.signal })
+		.then((response) => {
+			if (!response.ok) {
+				const error = new Error(`${response.status} ${response.statusText}`);
+				error.status = response.status;
+				error.response = response;
+				throw error;
+			}
+			return parseResponse(response, parse);
+		})
+		.then(
+			(data) => {
+				entry.data = data;
+				entry.error = null;
+				entry.updatedAt = Date.now();
+			},
+			(error) => {
+				// Cancelada porque ya nadie la usa
+				if (error.name !== "AbortError") entry.error = error;
+			}
+		)
+		.finally(() => {
+			if (entry.controller !== controller) return;
+			entry.promise = null;
+			entry.controller = null;
+			entry.subscribers.forEach((subscriber) => subscriber());
+		});
+
+	return entry.promise;
+}
+
+/**
+ * Suscribe un componente a una clave
+ * @param {string} key clave de la petición
+ * @param {Function} subscriber función que se llama cuando cambian los datos
+ * @param {number} staleTime milisegundos que la entrada se conserva cuando ya nadie la usa
+ * @returns {function():void} cancela la suscripción (y la petición en curso si ya nadie la usa)
+ */
+function subscribe(key, subscriber, staleTime) {
+	const entry = entryOf(key);
+	clearTimeout(entry.evictTimer);
+	entry.evictTimer = null;
+	entry.subscribers.add(subscriber);
+	return () => {
+		entry.subscribers.delete(subscriber);
+		if (entry.subscribers.size > 0) return;
+		if (entry.controller) {
+			entry.controller.abort();
+			entry.promise = null;
+			entry.controller = null;
+		}
+		// Pasado el staleTime los datos se revalidarían igualmente: se libera la entrada
+		entry.evictTimer = setTimeout(() => {
+			if (entry.subscribers.size === 0 && cache.get(key) === entry) cache.delete(key);
+		}, staleTime);
+	};
+}
+
+/**
+ * Hook para pedir datos con cache compartida entre componentes:
+ * las peticiones iguales se hacen una sola vez, los datos de la cache se muestran
+ * mientras se revalidan (stale-while-revalidate) y al cambiar la url la petición anterior se cancela
+ * @param {string|null} url dirección de la petición (null para no hacerla)
+ * @param {RequestInit & FetchOptions} options opciones del fetch y de la cache
+ * @param {function():void} onChange se llama cuando llegan los datos (o un error)
+ * @returns {FetchState} estado de la petición
+ */
+export function useFetch(url, options = {}, onChange = () => {}) {
+	const { key: customKey, staleTime = 0, parse = "json", enabled = true, ...init } = options;
+	const active = enabled && Boolean(url);
+	const key = active ? (customKey ?? requestKey(url, init)) : null;
+
+	const fetchHook = new Hook({ key: null, onChange, cleanup: null }, HookType.FetchHook);
+	// Se notifica siempre con el onChange del último renderizado
+	fetchHook.patch({ onChange });
+
+	// Solo al montar o cuando cambia la petición (no en cada re-ejecución del script)
+	if (fetchHook.get().key !== key) {
+		fetchHook.get().cleanup?.();
+		const notify = () => fetchHook.get()?.onChange();
+		fetchHook.patch({ key, cleanup: active ? subscribe(key, notify, staleTime) : null });
+
+		const entry = active ? entryOf(key) : null;
+		if (entry && Date.now() - entry.updatedAt >= staleTime) load(key, url, init, parse);
+	}
+
+	const entry = active ? entryOf(key) : null;
+	return {
+		data: entry?.data,
+		error: entry?.error ?? null,
+		loading: Boolean(entry?.promise) && entry.updatedAt === 0,
+		validating: Boolean(entry?.promise),
+		refetch: () => {
+			if (!active) return Promise.resolve();
+			const promise = load(key, url, init, parse);
+			// Los componentes muestran que se está revalidando
+			entryOf(key).subscribers.forEach((subscriber) => subscriber());
+			return promise;
+		}
+	};
+}
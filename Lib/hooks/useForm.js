@@ -0,0 +1,141 @@
+import { Hook, HookType } from "./hookObject.js";
+
+/**
+ * @typedef FormOptions
+ * @property {Object<string, *>} initial valores iniciales de los campos
+ * @property {function(Object<string, *>): Object<string, string>} [validate] recibe los valores y retorna los errores por campo
+ */
+
+/**
+ * @typedef FormState
+ * @property {Object<string, *>} values valores actuales de los campos
+ * @property {Object<string, string>} errors errores de validación por campo
+ * @property {Object<string, boolean>} touched campos que el usuario ya visitó
+ * @property {Object<string, boolean>} dirty campos cuyo valor es distinto del inicial
+ * @property {boolean} isDirty si algún campo cambió
+ * @property {boolean} isValid si no hay errores de validación
+ * @property {boolean} submitted si ya se intentó enviar el formulario
+ * @property {function(string, *):void} setValue actualiza el valor de un campo
+ * @property {function(string, boolean=):void} setTouched marca un campo como visitado
+ * @property {function(Object<string, *>=):void} reset vuelve a los valores iniciales (o a los pasados)
+ * @property {function(function(Object<string, *>):*): function(Event=):void} handleSubmit crea el handler del submit
+ */
+
+/**
+ * Ejecuta la validación y descarta los campos sin error
+ * @param {Function|undefined} validate función de validación
+ * @param {Object<string, *>} values valores a validar
+ * @returns {Object<string, string>} errores por campo
+ */
+function runValidation(validate, values) {
+	if (typeof validate !== "function") return {};
+	try {
+		const errors = validate(values) ?? {};
+		return Object.fromEntries(Object.entries(errors).filter(([, error]) => Boolean(error)));
+	} catch (error) {
+		console.error('Error in form validation:', error);
+		return {};
+	}
+}
+
+/**
+ * Gestiona el estado de un formulario: valores, campos visitados/modificados y errores
+ * @param {FormOptions} options valores iniciales y función de validación
+ * @param {function():void} onChange se llama cada vez que cambia el estado del formulario
+ * @returns {FormState} estado del formulario y funciones para actualizarlo
+ */
+export function useForm({ initial = {}, validate } = {}, onChange = () => {}) {
+	const formHook = new Hook({
+		initial: { ...initial },
+		values: { ...initial },
+		errors: runValidation(validate, initial),
+		touched: {},
+		submitted: false,
+		validate
+	}, HookType.FormHook);
+
+	// La función de validación puede cambiar entre renderizados
+	formHook.patch({ validate });
+
+	/**
+	 * Actualiza el estado del formulario y notifica el cambio
+	 * @param {Object} updates cambios del estado
+	 */
+	const update = (updates) => {
+		formHook.patch(updates);
+		onChange();
+	};
+
+	/**
+	 * Actualiza el valor de un campo y vuelve a validar
+	 * @param {string} field nombre del campo
+	 * @param {*} value nuevo valor
+	 */
+	const setValue = (field, value) => {
+		const data = formHook.get();
+		if (Object.is(data.values[field], value)) return;
+		const values = { ...data.values, [field]: value };
+		update({ values, errors: runValidation(data.validate, values) });
+	};
+
+	/**
+	 * Marca un campo como visitado (o no)
+	 * @param {string} field nombre del campo
+	 * @param {boolean} touched si fue visitado
+	 */
+	const setTouched = (field, touched = true) => {
+		const data = formHook.get();
+		if (Boolean(data.touched[field]) === touched) return;
+		update({ touched: { ...data.touched, [field]: touched } });
+	};
+
+	/**
+	 * Vuelve a los valores iniciales (o a unos nuevos valores iniciales)
+	 * @param {Object<string, *>} values valores con los que reiniciar
+	 */
+	const reset = (values = formHook.get().initial) => {
+		const data = formHook.get();
+		update({
+			initial: { ...values },
+			values: { ...values },
+			errors: runValidation(data.validate, values),
+			touched: {},
+			submitted: false
+		});
+	};
+
+	/**
+	 * Crea el handler del submit: valida, marca todos los campos como visitados
+	 * y llama a onSubmit con los valores solo si no hay errores
+	 * @param {function(Object<string, *>):*} onSubmit función que recibe los valores válidos
+	 * @returns {function(Event=):void} handler para el evento submit
+	 */
+	const handleSubmit = (onSubmit) => (event) => {
+		event?.preventDefault?.();
+		const data = formHook.get();
+		const errors = runValidation(data.validate, data.values);
+		const touched = Object.fromEntries(Object.keys(data.values).map((field) => [field, true]));
+		update({ errors, touched, submitted: true });
+
+		if (Object.keys(errors).length === 0) onSubmit?.({ ...data.values });
+	};
+
+	const { values, errors, touched, submitted, initial: initialValues } = formHook.get();
+	const dirty = Object.fromEntries(
+		Object.keys(values).map((field) => [field, !Object.is(values[field], initialValues[field])])
+	);
+
+	return {
+		values,
+		errors,
+		touched,
+		dirty,
+		isDirty: Object.values(dirty).some(Boolean),
+		isValid: Object.keys(errors).length === 0,
+		submitted,
+		setValue,
+		setTouched,
+		reset,
+		handleSubmit
+	};
+}
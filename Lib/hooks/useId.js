@@ -1,4 +1,4 @@
-import { Hook, HookType } from "./hookObject";
+import { Hook, HookType } from "./hookObject.js";
 
 /**
  * Genera un identificador único
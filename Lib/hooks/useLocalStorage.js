@@ -1,79 +1,235 @@
-import { Hook, HookType } from "./hookObject";
+import { Hook, HookType } from "./hookObject.js";
+import { resolveStorageAdapter, migrate, StorageQuotaError } from "../storage.js";
+
+/**
+ * @typedef StorageEntry
+ * @property {*} value valor actual (en memoria, se lee sin acceder al almacenamiento)
+ * @property {boolean} loaded si ya se leyó el valor guardado
+ * @property {boolean} written si se escribió antes de terminar de cargar (el valor guardado se ignora)
+ * @property {*} initialValue valor inicial (se vuelve a él si otra pestaña elimina la clave)
+ * @property {import("../storage.js").StorageOptions} options opciones con las que se abrió
+ * @property {Set<function(*):void>} listeners reciben el valor cuando termina de cargar o cuando otra pestaña lo cambia
+ */
+
+/**
+ * Valores abiertos por almacenamiento y clave (compartidos entre los hooks que usan la misma clave)
+ * @type {Map<string, StorageEntry>}
+ */
+const entries = new Map();
+
+/**
+ * Almacenamientos de los que ya se escuchan los cambios de otras pestañas
+ * @type {WeakSet<import("../storage.js").StorageAdapter>}
+ */
+const watched = new WeakSet();
+
+/**
+ * Muestra (o entrega a onError) un error al guardar un valor
+ * @param {Error} error error al guardar
+ * @param {string} key clave del valor
+ * @param {import("../storage.js").StorageOptions} options opciones del almacenamiento
+ */
+function reportError(error, key, options) {
+	if (typeof options.onError === "function") return options.onError(error);
+	if (error instanceof StorageQuotaError) {
+		console.warn(`useLocalStorage: sin espacio para la clave "${key}", el valor solo se mantiene en memoria`);
+	} else {
+		console.warn(`useLocalStorage: error al escribir la clave "${key}":`, error);
+	}
+}
+
+/**
+ * Guarda un valor con la versión actual del esquema
+ * @param {import("../storage.js").StorageAdapter} adapter almacenamiento
+ * @param {string} storageKey clave completa en el almacenamiento
+ * @param {*} value valor a guardar
+ * @param {import("../storage.js").StorageOptions} options opciones del almacenamiento
+ */
+function persist(adapter, storageKey, value, options) {
+	try {
+		const result = adapter.set(storageKey, { version: options.version ?? 0, value });
+		if (adapter.async) Promise.resolve(result).catch((error) => reportError(error, storageKey, options));
+	} catch (error) {
+		reportError(error, storageKey, options);
+	}
+}
+
+/**
+ * Aplica el cambio que hizo otra pestaña según la política de sincronización del valor
+ * @param {import("../storage.js").StorageAdapter} adapter almacenamiento
+ * @param {string} storageKey clave completa en el almacenamiento
+ * @param {import("../storage.js").StoredEntry|undefined} stored entrada nueva (undefined si se eliminó)
+ */
+function applyRemoteChange(adapter, storageKey, stored) {
+	const entry = entries.get(`${adapter.name}:${storageKey}`);
+	if (!entry) return;
+
+	const { options } = entry;
+	const policy = options.sync ?? "remote";
+	if (policy === "local") return;
+
+	const remote = stored === undefined || stored === null ? entry.initialValue : migrate(stored, options).value;
+	let value = remote;
+	if (typeof policy === "function") {
+		value = policy(entry.value, remote);
+		// Solo se guarda si la combinación no es el valor remoto (evita escrituras en bucle entre pestañas)
+		if (JSON.stringify(value) !== JSON.stringify(remote)) persist(adapter, storageKey, value, options);
+	}
+
+	// El valor remoto es más nuevo que el que está cargando
+	if (!entry.loaded) entry.written = true;
+	if (Object.is(value, entry.value)) return;
+	entry.value = value;
+	entry.listeners.forEach((listener) => listener(value));
+}
+
+/**
+ * Escucha (una única vez por almacenamiento) los cambios que hacen otras pestañas
+ * @param {import("../storage.js").StorageAdapter} adapter almacenamiento
+ */
+function watchAdapter(adapter) {
+	if (watched.has(adapter) || typeof adapter.subscribe !== "function") return;
+	watched.add(adapter);
+	adapter.subscribe((storageKey, stored) => applyRemoteChange(adapter, storageKey, stored));
+}
+
+/**
+ * Convierte (una única vez) el formato anterior: un objeto JSON con todos los valores de un contexto
+ * en localStorage[contexto]. Cada valor pasa a su propia clave con la versión 0 (al abrirlo
+ * se aplican las migraciones) y el objeto anterior se elimina
+ * @param {import("../storage.js").StorageAdapter} adapter almacenamiento de destino
+ * @param {string} legacyKey clave del objeto con el formato anterior
+ * @param {string} namespace prefijo de las claves nuevas
+ */
+function splitLegacyEntries(adapter, legacyKey, namespace) {
+	let legacy;
+	try {
+		legacy = resolveStorageAdapter("local").get(legacyKey);
+	} catch {
+		// No hay localStorage o la clave no es JSON: no es el formato anterior
+		return;
+	}
+	// El formato nuevo guarda {version, value} en claves con el prefijo "contexto:"
+	if (legacy === null || typeof legacy !== "object" || Array.isArray(legacy)) return;
+
+	try {
+		for (const [key, value] of Object.entries(legacy)) {
+			const storageKey = `${namespace}:${key}`;
+			if (adapter.async || adapter.get(storageKey) === undefined) adapter.set(storageKey, { version: 0, value });
+		}
+		resolveStorageAdapter("local").remove(legacyKey);
+	} catch (error) {
+		console.warn(`useLocalStorage: no se pudieron convertir los valores guardados de "${legacyKey}":`, error);
+	}
+}
+
+/**
+ * Abre (una única vez) el valor de una clave: lo lee, lo migra a la versión actual
+ * y, si no existe, guarda el valor inicial
+ * @param {import("../storage.js").StorageAdapter} adapter almacenamiento
+ * @param {string} storageKey clave completa en el almacenamiento
+ * @param {*} initialValue valor inicial si no existe
+ * @param {import("../storage.js").StorageOptions} options opciones del almacenamiento
+ * @returns {StorageEntry} valor abierto
+ */
+function openEntry(adapter, storageKey, initialValue, options) {
+	const id = `${adapter.name}:${storageKey}`;
+	if (entries.has(id)) return entries.get(id);
+
+	/** @type {StorageEntry} */
+	const entry = { value: initialValue, loaded: false, written: false, initialValue, options, listeners: new Set() };
+	entries.set(id, entry);
+	watchAdapter(adapter);
+
+	const apply = (stored) => {
+		entry.loaded = true;
+		if (entry.written) return;
+
+		if (stored === undefined || stored === null) {
+			if (initialValue !== undefined) persist(adapter, storageKey, initialValue, options);
+			return;
+		}
+
+		const { value, migrated } = migrate(stored, options);
+		entry.value = value;
+		if (migrated) persist(adapter, storageKey, value, options);
+		if (adapter.async) entry.listeners.forEach((listener) => listener(value));
+	};
+	const fail = (err) => {
+		entry.loaded = true;
+		console.warn(`useLocalStorage: error al leer la clave "${storageKey}":`, err);
+	};
+
+	try {
+		const stored = adapter.get(storageKey);
+		if (adapter.async) Promise.resolve(stored).then(apply, fail);
+		else apply(stored);
+	} catch (err) {
+		fail(err);
+	}
+	return entry;
+}
 
 /**
 * useLocalStorage
-* Proporciona acceso de lectura y escritura a localStorage sin dependencias.
-* @param {string} key - Clave en localStorage.
-* @param {*} initialValue - Valor inicial si no existe en localStorage.
+* Proporciona acceso de lectura y escritura a un almacenamiento (localStorage por defecto).
+* El valor se mantiene en memoria: leer no accede al almacenamiento y escribir solo guarda esa clave.
+* Con un almacenamiento asíncrono (indexedDB) se lee el valor inicial hasta que termina de cargar,
+* y los cambios que hacen otras pestañas se aplican según options.sync (ver onUpdate)
+* @param {string} key - Clave del valor.
+* @param {*} initialValue - Valor inicial si no existe en el almacenamiento.
 * @param {string|undefined} contextName - Nombre del contexto para diferenciarlo (opcional)
+* @param {import("../storage.js").StorageOptions & {onUpdate?: function(*):void, legacyKey?: string}} options - Almacenamiento, versión del esquema, migraciones, sincronización, onUpdate (recibe el valor cargado o cambiado desde otra pestaña) y legacyKey (clave del formato anterior, por defecto contextName)
 * @returns {[function(): any, function(*|function): void, function(*|function): void]} - Array con [read, write, patch] (la función patch es sólo para cuando se está trabajando con ebjetos).
 */
-export function useLocalStorage(key, initialValue, contextName){
+export function useLocalStorage(key, initialValue, contextName, options = {}){
 	const localStorageHook = new Hook({
 		LSKey: key,
 		context: contextName,
-		loader: () => {
-			let data = window.localStorage.getItem(contextName);
-			if (data === null) {
-				data = {};
-				window.localStorage.setItem(contextName, JSON.stringify(data));
-			} else {
-				data = JSON.parse(data);
-			}
-			return data;
-		}
+		entry: null,
+		onUpdate: null,
+		cleanup: null
 	}, HookType.LocalStorageHook);
 
-	// Inicializar valor en localStorage si no existe
-	try {
-		const storage = localStorageHook.get();
-		let data = storage.loader();
+	const storageKey = `${contextName ?? "webeact"}:${key}`;
+	const adapter = resolveStorageAdapter(options.storage);
 
-		if (!data[storage.LSKey] && initialValue !== undefined )
-		{ data[storage.LSKey] = initialValue }
-		window.localStorage.setItem(storage.context, JSON.stringify(data));
-	} catch (err) {
-		console.warn(`useLocalStorage: no se pudo inicializar la clave "${key}":`, err);
+	// El callback puede cambiar entre renderizados
+	localStorageHook.patch({ onUpdate: options.onUpdate ?? null });
+
+	if (!localStorageHook.get().entry) {
+		splitLegacyEntries(adapter, options.legacyKey ?? contextName ?? "webeact", contextName ?? "webeact");
+		const entry = openEntry(adapter, storageKey, initialValue, options);
+		const listener = (value) => localStorageHook.get()?.onUpdate?.(value);
+		entry.listeners.add(listener);
+		localStorageHook.patch({ entry, cleanup: () => entry.listeners.delete(listener) });
 	}
 
 	/**
-    * Leer valor de localStorage.
-    * @returns {*} Valor parseado o null.
+    * Leer el valor actual.
+    * @returns {*} Valor o null.
     */
-	const read = () => {
-		try {
-			const storage = localStorageHook.get();
-			const data = storage.loader();
-			let item = null;
-			if( data[storage.LSKey] !== undefined )
-				item = data[storage.LSKey];
-			return item;
-		} catch (err) {
-			console.warn(`useLocalStorage: error al leer la clave "${key}":`, err);
-			return null;
-		}
-	}
+	const read = () => localStorageHook.get()?.entry.value ?? null;
 
 	/**
-     * Escribir valor en localStorage.
+     * Escribir el valor (en memoria y en el almacenamiento).
      * @param {*|function} value - Valor directo o función que recibe el previo y retorna el nuevo.
      */
 	const write = (value) => {
+		const entry = localStorageHook.get()?.entry;
+		if (!entry) return;
 		try {
-			const current = read();
-			const valueToStore = value instanceof Function ? value(current) : value;
-
-			const storage = localStorageHook.get();
-			const data = storage.loader();
-			data[storage.LSKey] = valueToStore;
-			window.localStorage.setItem(storage.context, JSON.stringify(data));
+			const valueToStore = value instanceof Function ? value(read()) : value;
+			entry.value = valueToStore;
+			if (!entry.loaded) entry.written = true;
+			persist(adapter, storageKey, valueToStore, options);
 		} catch (err) {
 			console.warn(`useLocalStorage: error al escribir la clave "${key}":`, err);
 		}
 	}
 
 	/**
-     * Actualiza solo una parte del valor del local storage (Solo funciona con objetos)
+     * Actualiza solo una parte del valor (Solo funciona con objetos)
      * @param {Object|Function} updates Objecto con actualizaciones
      */
 	const patch = (updates) => {
@@ -88,4 +244,3 @@ export function useLocalStorage(key, initialValue, contextName){
 
 	return [read, write, patch];
 }
-
@@ -1,5 +1,5 @@
-import { Hook, HookType } from "./hookObject";
-import { compareArrays } from "../utils";
+import { Hook, HookType } from "./hookObject.js";
+import { compareArrays } from "../utils.js";
 
 /**
  * Toma una funcion y las dependencias de esta, mientras que no haya cambios en las dependencias, cachea el resultado
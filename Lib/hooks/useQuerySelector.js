@@ -1,3 +1,4 @@
+import { Hook } from "./hookObject.js";
 
 /**
  * Hace una mediaQuery a nivel de componente
@@ -7,16 +8,15 @@
  * @returns {Array<HTMLElement> | HTMLElement} los elementos o el elemento html como resultado de la query
  */
 export function useQuerySelector(selector, doBubble = false, extractSingle = false) {
-	/**
-     * @type {NodeList}
-     */
-	const results = window.doc?.querySelectorAll(selector) ?? (doBubble ? document.querySelectorAll(selector) : new NodeList());
+	// Raíz del componente del frame actual (su shadow root)
+	const root = Hook.getFrameOptions().root;
+	let results = root?.querySelectorAll(selector) ?? [];
+	if (results.length === 0 && doBubble) results = document.querySelectorAll(selector);
 
-	const values = Array.from(results.values());
+	const values = Array.from(results);
 	return (extractSingle && results.length === 1)
 		? values[0]
 		: values;
 
 
 }
-
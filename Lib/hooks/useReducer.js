@@ -1,4 +1,4 @@
-import { Hook, HookType } from "./hookObject";
+import { Hook, HookType } from "./hookObject.js";
 
 /**
  * Toma un grupo de acciones y los encapsula en un estado
@@ -1,4 +1,4 @@
-import { Hook, HookType } from "./hookObject";
+import { Hook, HookType } from "./hookObject.js";
 
 /**
  * Guarda una referencia a un elemento
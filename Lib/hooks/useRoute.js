@@ -0,0 +1,14 @@
+import { useEffect } from "./useEffect.js";
+import { getRoute, onRouteChange } from "../Router.js";
+
+/**
+ * Hook para leer la ruta actual del router del cliente.
+ * onChange se llama cada vez que la ruta cambia (navigate, enlaces o atrás/adelante)
+ * @param {function(import("../Router.js").RouteInfo):void} onChange función que se llama al cambiar la ruta
+ * @returns {import("../Router.js").RouteInfo} ruta actual (path, params, query y hash)
+ */
+export function useRoute(onChange = () => {}) {
+	// La suscripción se cancela con el cleanup del efecto
+	useEffect(() => onRouteChange(onChange), []);
+	return getRoute();
+}
@@ -0,0 +1,168 @@
+import { Hook, HookType } from "./hookObject.js";
+
+/**
+ * Espera inicial antes de reconectar (se duplica en cada intento)
+ * @type {number}
+ */
+const RETRY_DELAY = 1000;
+/**
+ * Espera máxima entre reconexiones
+ * @type {number}
+ */
+const MAX_RETRY_DELAY = 30 * 1000;
+/**
+ * readyState de un EventSource cerrado
+ * @type {number}
+ */
+const CLOSED = 2;
+
+/**
+ * @typedef SSEEvent
+ * @property {string} type nombre del evento ("message" para los eventos sin nombre)
+ * @property {string} data datos del evento
+ * @property {string} lastEventId id del evento
+ */
+
+/**
+ * @typedef SSEState
+ * @property {SSEEvent|null} lastEvent último evento recibido
+ * @property {number} readyState estado de la conexión (0: conectando, 1: abierta, 2: cerrada)
+ * @property {function():void} close cierra la conexión (y no se vuelve a conectar)
+ */
+
+/**
+ * Hook para suscribirse a un servidor de eventos (SSE).
+ * La conexión se mantiene entre renderizados, se reconecta con backoff exponencial
+ * si el servidor la cierra y se cierra cuando el componente se elimina
+ * @param {string|null} url dirección del servidor (null para no conectarse)
+ * @param {function(MessageEvent):void} onMessage callback para eventos sin nombre
+ * @param {function(Event):void} onError callback para errores
+ * @param {Object<string, function(MessageEvent):void>} events callbacks de los eventos con nombre
+ * @param {function():void} onChange se llama cuando llega un evento o cambia el estado de la conexión
+ * @returns {SSEState} último evento y estado de la conexión
+ */
+export function useSSE(url, onMessage = () => {}, onError = () => {}, events = {}, onChange = () => {}) {
+	const sseHook = new Hook({
+		url: null,
+		source: null,
+		timer: null,
+		retries: 0,
+		stopped: false,
+		lastEvent: null,
+		readyState: CLOSED,
+		listening: new Set(),
+		handlers: {},
+		cleanup: null
+	}, HookType.SSEHook);
+
+	// Siempre se llaman los callbacks del último renderizado
+	sseHook.patch({ handlers: { onMessage, onError, events } });
+
+	/**
+	 * Crea el listener de un tipo de evento
+	 * @param {string} type nombre del evento ("message" para los eventos sin nombre)
+	 * @returns {function(MessageEvent):void}
+	 */
+	const receive = (type) => (event) => {
+		const data = sseHook.get();
+		if (!data) return;
+		sseHook.patch({ lastEvent: { type, data: event.data, lastEventId: event.lastEventId } });
+		try {
+			if (type === "message") data.handlers.onMessage?.(event);
+			else data.handlers.events?.[type]?.(event);
+		} catch (error) {
+			console.error(`Error in SSE "${type}" handler:`, error);
+		}
+		onChange();
+	};
+
+	/**
+	 * Registra los eventos con nombre que todavía no se escuchan
+	 */
+	const listen = () => {
+		const { source, listening, handlers } = sseHook.get();
+		if (!source) return;
+		Object.keys(handlers.events ?? {})
+			.filter((type) => !listening.has(type))
+			.forEach((type) => {
+				source.addEventListener(type, receive(type));
+				listening.add(type);
+			});
+	};
+
+	/**
+	 * Cierra la conexión y cancela la reconexión pendiente
+	 */
+	const disconnect = () => {
+		const data = sseHook.get();
+		if (!data) return;
+		clearTimeout(data.timer);
+		data.source?.close();
+		sseHook.patch({ source: null, timer: null, readyState: CLOSED, listening: new Set() });
+	};
+
+	/**
+	 * Reintenta la conexión esperando cada vez más
+	 */
+	const reconnect = () => {
+		const { retries, stopped } = sseHook.get() ?? {};
+		if (stopped === undefined || stopped) return;
+		const delay = Math.min(RETRY_DELAY * 2 ** retries, MAX_RETRY_DELAY);
+		const timer = setTimeout(() => {
+			sseHook.patch({ timer: null });
+			connect();
+		}, delay);
+		sseHook.patch({ source: null, timer, retries: retries + 1 });
+	};
+
+	/**
+	 * Abre la conexión con el servidor
+	 */
+	const connect = () => {
+		const source = new EventSource(url);
+		source.onopen = () => {
+			sseHook.patch({ retries: 0, readyState: source.readyState });
+			onChange();
+		};
+		source.onmessage = receive("message");
+		source.onerror = (event) => {
+			const data = sseHook.get();
+			if (!data) return;
+			try {
+				data.handlers.onError?.(event);
+			} catch (error) {
+				console.error('Error in SSE error handler:', error);
+			}
+			sseHook.patch({ readyState: source.readyState });
+			// CONNECTING: el navegador reintenta solo; CLOSED: el servidor rechazó la conexión
+			if (source.readyState === CLOSED) {
+				source.close();
+				reconnect();
+			}
+			onChange();
+		};
+		sseHook.patch({ source, readyState: source.readyState, listening: new Set() });
+		listen();
+	};
+
+	const data = sseHook.get();
+	if (data.url !== url) {
+		// Conexión nueva (o cambió la url)
+		disconnect();
+		sseHook.patch({ url, retries: 0, stopped: false, cleanup: disconnect });
+		if (url) connect();
+	} else {
+		listen();
+	}
+
+	const { lastEvent, readyState } = sseHook.get();
+	return {
+		lastEvent,
+		readyState,
+		close: () => {
+			sseHook.patch({ stopped: true });
+			disconnect();
+			onChange();
+		}
+	};
+}
@@ -1,4 +1,4 @@
-import { Hook, HookType } from "./hookObject";
+import { Hook, HookType } from "./hookObject.js";
 
 /**
  * Crea y registra un nuevo (o carga uno ya existente del Frame) de tipo State
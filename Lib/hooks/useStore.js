@@ -0,0 +1,44 @@
+import { Hook, HookType } from "./hookObject.js";
+import { shallowEqual } from "../utils.js";
+
+/**
+ * Selector por defecto: el estado completo
+ * @param {*} state estado del store
+ * @returns {*} el mismo estado
+ */
+const selectAll = (state) => state;
+
+/**
+ * Suscribe el componente a un store global. onChange solo se llama cuando
+ * la parte seleccionada del estado cambia (comparación superficial)
+ * @param {import("../store.js").Store} store store creado con createStore
+ * @param {function(*):*} selector función que extrae del estado la parte que usa el componente
+ * @param {function():void} onChange función que se llama cuando cambia la parte seleccionada
+ * @returns {[*, function(*):*]} parte seleccionada del estado y el dispatch del store
+ */
+export function useStore(store, selector = selectAll, onChange = () => {}) {
+	const storeHook = new Hook({ store: null, selector, onChange, selected: undefined, cleanup: null }, HookType.StoreHook);
+
+	// El selector y el callback pueden cambiar entre renderizados
+	storeHook.patch({ selector, onChange });
+
+	if (storeHook.get().store !== store) {
+		storeHook.get().cleanup?.();
+
+		const unsubscribe = store.subscribe((state) => {
+			const data = storeHook.get();
+			if (!data) return;
+			const selected = data.selector(state);
+			if (shallowEqual(data.selected, selected)) return;
+			storeHook.patch({ selected });
+			data.onChange();
+		});
+		storeHook.patch({ store, cleanup: unsubscribe });
+	}
+
+	// Se vuelve a seleccionar en cada renderizado (el selector pudo cambiar)
+	const selected = selector(store.getState());
+	storeHook.patch({ selected });
+
+	return [selected, store.dispatch];
+}
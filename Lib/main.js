@@ -1,4 +1,6 @@
-import { Element } from "/webeact/Element.js";
+import { Element } from "./Element.js";
+import { defineComponent } from "./registry.js";
+import { enableErrorReporting } from "./errorReporter.js";
 
 /**
  * Helper para SSE
@@ -18,51 +20,193 @@ function useEventSource(url, onMessage, onError, events = {}) {
 	return eventSource;
 }
 
+
 /**
- * Función para el CustomEvent: update
- * @param {Object} param0 objeto con la key data donde está el array con cada file y su contenido
+ * Dirección donde está montado el middleware: la misma desde la que se sirve este fichero
+ * (así funciona aunque no esté en /webeact, ver la opción libraryPath)
+ * @type {URL}
  */
-function event_update({ data }) {
-	const files = JSON.parse(data);
-	files.forEach(({filePath, content}) => {
-		if (customElements.get(`web-${filePath}`)) return;
-		console.log(`Cargando ${filePath} como web-${filePath}...`);
-		customElements.define(
-			`web-${filePath}`,
-			class extends Element {
-				constructor() {
-					super(content);
-				}
+const BASE_URL = new URL("./", import.meta.url);
+
+/**
+ * Dirección desde la que se piden las definiciones de los componentes
+ * @type {string}
+ */
+const COMPONENT_URL = new URL("component", BASE_URL).href;
+
+/**
+ * Dirección a la que se envían los errores no capturados de los componentes
+ * @type {string}
+ */
+const ERRORS_URL = new URL("errors", BASE_URL).href;
+
+/**
+ * Dirección de la conexión SSE con las notificaciones de cambios
+ * @type {string}
+ */
+const CONNECT_URL = new URL("connect", BASE_URL).href;
+
+// Componentes que se están cargando (o ya cargados): nombre -> promesa
+const requested = new Map();
+// Componentes que el servidor no tiene (se reintentan si aparecen en un update)
+const missing = new Set();
+
+/**
+ * Pide al servidor el contenido de un componente
+ * @param {string} name nombre del componente (sin el prefijo web-)
+ * @returns {Promise<string|null>} contenido del componente o null si no existe
+ */
+async function fetchComponent(name) {
+	try {
+		const response = await fetch(`${COMPONENT_URL}/${encodeURIComponent(name)}`, { cache: "no-cache" });
+		if (response.status === 404) return null;
+		if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+		return await response.text();
+	} catch (error) {
+		console.error(`Error cargando web-${name}: ${error}`);
+		return null;
+	}
+}
+
+/**
+ * Carga y define un componente una sola vez (aunque se use en muchos sitios)
+ * @param {string} name nombre del componente (sin el prefijo web-)
+ * @returns {Promise<void>}
+ */
+function requireComponent(name) {
+	if (customElements.get(`web-${name}`) || missing.has(name)) return Promise.resolve();
+	if (!requested.has(name)) {
+		requested.set(name, fetchComponent(name).then((content) => {
+			if (content === null) {
+				missing.add(name);
+				requested.delete(name);
+				return;
 			}
-		); // define
-		if( filePath === "main-app" && customElements.get("web-main-app") ) mountMainApp();
+			defineComponent(name, content);
+		}));
+	}
+	return requested.get(name);
+}
+
+/**
+ * Vuelve a pedir un componente ya definido y reemplaza su template (hot reload)
+ * @param {string} name nombre del componente (sin el prefijo web-)
+ * @returns {Promise<void>}
+ */
+async function reloadComponent(name) {
+	const content = await fetchComponent(name);
+	if (content !== null) defineComponent(name, content);
+}
+
+/**
+ * Carga los componentes sin definir usados en un nodo (y en sus descendientes)
+ * @param {Node} root nodo a revisar
+ */
+function loadUsedComponents(root) {
+	// Nodos de texto, comentarios...
+	if (typeof root.querySelectorAll !== "function") return;
+
+	const elements = root.nodeType === Node.ELEMENT_NODE ? [root, ...root.querySelectorAll("*")] : root.querySelectorAll("*");
+	for (const element of elements) {
+		const tagName = element.localName;
+		if (tagName.startsWith("web-") && !customElements.get(tagName)) {
+			requireComponent(tagName.slice(4));
+		}
+	}
+}
+
+/**
+ * Observa un documento o shadow root para cargar los componentes que se añadan
+ * @param {Document|ShadowRoot} root raíz a observar
+ * @returns {MutationObserver} observer de la raíz (se desconecta cuando la raíz deja de usarse)
+ */
+function observeComponents(root) {
+	loadUsedComponents(root);
+	const observer = new MutationObserver((mutations) => {
+		mutations.forEach(({ addedNodes }) => addedNodes.forEach(loadUsedComponents));
 	});
+	observer.observe(root, { childList: true, subtree: true });
+	return observer;
 }
 
+/**
+ * Función para el CustomEvent: update (componentes nuevos)
+ * Solo se cargan los que se usan y el servidor no tenía (o había eliminado)
+ * @param {Object} param0 objeto con la key data donde está el array con los nombres
+ */
+function event_update({ data }) {
+	const names = JSON.parse(data);
+	names.forEach((name) => {
+		if (!missing.delete(name)) return;
+		// Un componente eliminado y vuelto a crear sigue definido: se recarga su template
+		if (customElements.get(`web-${name}`)) reloadComponent(name);
+		else requireComponent(name);
+	});
+}
+
+/**
+ * Función para el CustomEvent: change (componentes modificados)
+ * Solo se recargan los que ya están definidos (hot reload)
+ * @param {Object} param0 objeto con la key data donde está el array con los nombres
+ */
+function event_change({ data }) {
+	const names = JSON.parse(data);
+	names.forEach((name) => {
+		if (customElements.get(`web-${name}`)) reloadComponent(name);
+	});
+}
+
+/**
+ * Función para el CustomEvent: remove (componentes eliminados)
+ * Un custom element no se puede des-registrar, así que sus instancias se vacían
+ * @param {Object} param0 objeto con la key data donde está el array con los nombres
+ */
+function event_remove({ data }) {
+	const names = JSON.parse(data);
+	names.forEach((filePath) => {
+		const defined = customElements.get(`web-${filePath}`);
+		if (!defined?.instances) return;
+		console.warn(`El componente web-${filePath} fue eliminado`);
+		// Si se vuelve a crear llega como update
+		missing.add(filePath);
+		defined.source = "";
+		defined.instances.forEach((instance) => instance.hotReload("").catch((error) => instance.handleError(error, "render")));
+	});
+}
+
+/**
+ * Función para el CustomEvent: config (configuración del servidor al conectarse)
+ * Fuera de producción el servidor activa el panel de devtools, y con onClientError el envío de errores
+ * @param {Object} param0 objeto con la key data donde está la configuración
+ */
+function event_config({ data }) {
+	const config = JSON.parse(data);
+	// El servidor solo recibe los errores si se pasó onClientError al middleware
+	if (config.errors) enableErrorReporting(ERRORS_URL);
+	if (config.devtools) {
+		import("./devtools.js")
+			.then(({ mountDevtools }) => mountDevtools())
+			.catch((error) => console.error(`Error cargando las devtools: ${error}`));
+	}
+}
+
+// Los componentes usados dentro de otros componentes también se cargan bajo demanda
+Element.onShadowRoot = observeComponents;
+
 window.addEventListener("DOMContentLoaded", () => {
+	// El main-app es opcional: si el servidor no lo tiene no se monta
+	requireComponent("main-app");
+	observeComponents(document);
+
 	useEventSource(
-		"/webeact/connect",
+		CONNECT_URL,
 		({ data }) => {
 			console.log("Conexión establecida:", data, `-> ${Date.now()}`);
 		},
 		(event) => {
 			console.log("Error en la conexión:", event);
 		},
-		// Custom Events
-		{ update: event_update }
+		// Custom Events (solo notificaciones de cambios)
+		{ update: event_update, change: event_change, remove: event_remove, config: event_config }
 	);
 })
-
-let mainApp = document.querySelector("web-main-app");
-function mountMainApp(){
-	if(mainApp !== null) return;
-
-	console.log("Mounting main app...");
-	mainApp = document.createElement("web-main-app");
-	while(!mainApp) mainApp = document.createElement("web-main-app");
-	try {
-		document.body.prepend(mainApp);
-	} catch (error) {
-		console.error(`Error mounting main app: ${error}`);
-	}
-}
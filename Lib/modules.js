@@ -0,0 +1,127 @@
+import { openModuleScope, closeModuleScope } from "./runtime.js";
+import { isIdentifier } from "./utils.js";
+
+/**
+ * Dirección del runtime (el scope generado de cada módulo lo importa desde aquí)
+ * @type {string}
+ */
+const RUNTIME_URL = new URL("./runtime.js", import.meta.url).href;
+
+/**
+ * Especificadores estáticos: import/export ... from "x" e import "x"
+ * @type {RegExp}
+ */
+const STATIC_IMPORT = /((?:^|[;\n}])\s*(?:(?:import|export)\b[^;"'`]*?\bfrom|import)\s*)(["'])([^"'\n]+)\2/g;
+
+/**
+ * Especificadores de los import("x") con un string literal
+ * @type {RegExp}
+ */
+const DYNAMIC_IMPORT = /(\bimport\s*\(\s*)(["'])([^"'\n]+)\2/g;
+
+/**
+ * Lee las entradas "imports" de un import map (las direcciones relativas se resuelven contra base)
+ * @param {string} json contenido del <script type="importmap">
+ * @param {string} base dirección contra la que se resuelven las direcciones relativas
+ * @returns {Object<string, string>} especificador -> dirección
+ */
+export function parseImportMap(json, base = document.baseURI) {
+	const { imports = {} } = JSON.parse(json);
+	return Object.fromEntries(
+		Object.entries(imports).map(([specifier, address]) => [specifier, new URL(address, base).href])
+	);
+}
+
+/**
+ * Import map del documento (todos los <script type="importmap"> de la página)
+ * @returns {Object<string, string>} especificador -> dirección
+ */
+export function documentImportMap() {
+	return [...document.querySelectorAll('script[type="importmap"]')].reduce((imports, script) => {
+		try {
+			return { ...imports, ...parseImportMap(script.textContent) };
+		} catch (error) {
+			console.warn("Import map del documento inválido:", error);
+			return imports;
+		}
+	}, {});
+}
+
+/**
+ * Resuelve un especificador como lo haría el navegador con el import map
+ * (coincidencia exacta, luego el prefijo más largo terminado en "/", luego direcciones relativas o absolutas)
+ * @param {string} specifier especificador del import
+ * @param {Object<string, string>} imports import map
+ * @param {string} base dirección contra la que se resuelven los especificadores relativos
+ * @returns {string} dirección absoluta del módulo
+ */
+export function resolveSpecifier(specifier, imports, base) {
+	if (Object.hasOwn(imports, specifier)) return imports[specifier];
+
+	const prefix = Object.keys(imports)
+		.filter((key) => key.endsWith("/") && specifier.startsWith(key))
+		.sort((a, b) => b.length - a.length)[0];
+	if (prefix) return imports[prefix] + specifier.slice(prefix.length);
+
+	if (/^\.{0,2}\//.test(specifier)) return new URL(specifier, base).href;
+	try {
+		return new URL(specifier).href;
+	} catch {
+		throw new TypeError(`No se pudo resolver el módulo "${specifier}": no es relativo y no está en el import map`);
+	}
+}
+
+/**
+ * Reemplaza los especificadores de los imports por direcciones absolutas
+ * (un módulo cargado desde un blob no puede resolver direcciones relativas ni usar el import map)
+ * @param {string} code código del módulo
+ * @param {function(string): string} resolve resuelve cada especificador
+ * @returns {string} código con los imports resueltos
+ */
+export function rewriteImports(code, resolve) {
+	const replace = (_match, before, quote, specifier) => `${before}${quote}${resolve(specifier)}${quote}`;
+	return code.replace(STATIC_IMPORT, replace).replace(DYNAMIC_IMPORT, replace);
+}
+
+/**
+ * Crea una dirección blob para el código de un módulo
+ * @param {string} code código del módulo
+ * @returns {string} dirección blob
+ */
+function moduleURL(code) {
+	return URL.createObjectURL(new Blob([code], { type: "text/javascript" }));
+}
+
+/**
+ * Ejecuta el código de un script módulo de un componente. "webeact" se resuelve a un módulo
+ * generado con el scope de la instancia, así cada módulo usa los hooks de su propio componente
+ * @param {string} code código del módulo
+ * @param {Object} options opciones
+ * @param {Object<string, *>} options.scope valores que exporta "webeact" (hooks, ctx, component y doc)
+ * @param {Object<string, string>} options.imports import map (se combina con el del documento)
+ * @param {string} options.base dirección contra la que se resuelven los imports relativos
+ * @param {string} [options.sourceURL] nombre del módulo en las herramientas del navegador
+ * @returns {Promise<Object>} exports del módulo
+ */
+export async function runModule(code, { scope, imports = {}, base = document.baseURI, sourceURL }) {
+	const id = openModuleScope(scope);
+	const names = Object.keys(scope).filter(isIdentifier);
+	const scopeURL = moduleURL([
+		`import { getModuleScope } from ${JSON.stringify(RUNTIME_URL)};`,
+		`const scope = getModuleScope(${JSON.stringify(id)});`,
+		`export const { ${names.join(", ")} } = scope;`,
+		"export default scope;"
+	].join("\n"));
+
+	const importMap = { ...documentImportMap(), ...imports, webeact: scopeURL };
+	let url = null;
+	try {
+		const source = rewriteImports(code, (specifier) => resolveSpecifier(specifier, importMap, base));
+		url = moduleURL(sourceURL ? `${source}\n//# sourceURL=${sourceURL}` : source);
+		return await import(url);
+	} finally {
+		closeModuleScope(id);
+		URL.revokeObjectURL(scopeURL);
+		if (url) URL.revokeObjectURL(url);
+	}
+}
@@ -0,0 +1,32 @@
+/**
+ * Convierte rutas como /user/:id a expresiones regulares
+ * (compartido por el router del servidor y el del cliente para que las rutas coincidan igual)
+ * @param {string} path Dirección a ser convertida a Regex
+ * @returns {{pattern: RegExp, keys: string[]}} Objeto con pattern: Regex para la ruta pasada y los nombres de los parámetros
+ */
+export function pathToRegExp(path) {
+	const keys = [];
+	const pattern = path
+		.replace(/\/:([^/]+)/g, (_, key) => {
+			keys.push(key);
+			return "/([^/]+)";
+		})
+		.replace(/\*/g, ".*");
+	return { pattern: new RegExp(`^${pattern}$`), keys };
+}
+
+/**
+ * Extrae parámetros de la URL (ej: /user/123 → { id: '123' })
+ * @param {string} routePath Path de la ruta (para sacar la regex)
+ * @param {string} actualPath el path con el valor
+ * @returns {Object} los parámetros de la ruta
+ */
+export function extractParams(routePath, actualPath) {
+	const { pattern, keys } = pathToRegExp(routePath);
+	const matches = actualPath.match(pattern);
+	if (!matches || keys.length === 0) return {};
+	return keys.reduce((params, key, i) => {
+		params[key] = matches[i + 1];
+		return params;
+	}, {});
+}
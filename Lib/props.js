@@ -0,0 +1,99 @@
+/**
+ * @typedef PropDefinition
+ * @property {"string"|"number"|"boolean"|"json"} type tipo al que se convierte el valor del atributo
+ * @property {*} default valor cuando el atributo no existe (o no se puede convertir)
+ */
+
+/**
+ * Tipos soportados para las props
+ * @type {string[]}
+ */
+const PROP_TYPES = ["string", "number", "boolean", "json"];
+
+/**
+ * Convierte el nombre de una prop (camelCase) al nombre de su atributo (kebab-case)
+ * @param {string} name nombre de la prop
+ * @returns {string} nombre del atributo
+ */
+export function toAttributeName(name) {
+	return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+/**
+ * Normaliza la declaración de una prop ("number" o {type, default})
+ * @param {string} name nombre de la prop
+ * @param {string|Object} declaration declaración de la prop
+ * @returns {PropDefinition} definición normalizada
+ */
+function normalizeProp(name, declaration) {
+	const definition = typeof declaration === "string"
+		? { type: declaration, default: undefined }
+		: { type: declaration?.type ?? "string", default: declaration?.default };
+
+	if (!PROP_TYPES.includes(definition.type)) {
+		console.warn(`Prop "${name}": tipo desconocido "${definition.type}", se usará string`);
+		definition.type = "string";
+	}
+	return definition;
+}
+
+/**
+ * Normaliza las declaraciones de las props (el JSON del bloque data-props)
+ * @param {Object<string, string|Object>} declarations declaraciones por nombre
+ * @returns {Object<string, PropDefinition>} definiciones de las props por nombre
+ */
+export function normalizeProps(declarations) {
+	return Object.fromEntries(
+		Object.entries(declarations).map(([name, declaration]) => [name, normalizeProp(name, declaration)])
+	);
+}
+
+/**
+ * Extrae las props declaradas en el contenido de un componente
+ * (bloque <script type="application/json" data-props>)
+ * @param {string} source contenido del componente
+ * @returns {Object<string, PropDefinition>} definiciones de las props por nombre
+ */
+export function parseProps(source) {
+	const template = document.createElement("template");
+	template.innerHTML = source;
+	const block = template.content.querySelector("script[data-props]");
+	if (!block) return {};
+
+	try {
+		return normalizeProps(JSON.parse(block.textContent || "{}"));
+	} catch (error) {
+		console.error("Error al leer las props del componente:", error);
+		return {};
+	}
+}
+
+/**
+ * Convierte el valor de un atributo según la definición de su prop
+ * @param {PropDefinition} definition definición de la prop
+ * @param {string|null} rawValue valor del atributo (null si no existe)
+ * @returns {*} valor convertido
+ */
+export function castProp(definition, rawValue) {
+	if (rawValue === null) {
+		return definition.type === "boolean" ? (definition.default ?? false) : definition.default;
+	}
+
+	switch (definition.type) {
+		case "number": {
+			const value = Number(rawValue);
+			return Number.isNaN(value) ? definition.default : value;
+		}
+		case "boolean":
+			// Como en HTML: la presencia del atributo es true (salvo "false")
+			return rawValue !== "false";
+		case "json":
+			try {
+				return JSON.parse(rawValue);
+			} catch {
+				return definition.default;
+			}
+		default:
+			return rawValue;
+	}
+}
@@ -0,0 +1,61 @@
+import { Element } from "./Element.js";
+import { parseProps } from "./props.js";
+// Registra <web-router> y <web-route>
+import "./Router.js";
+
+/**
+ * Define un componente nuevo o, si ya está definido, reemplaza su template
+ * y re-renderiza las instancias vivas (hot reload)
+ * @param {string} filePath nombre del componente (sin el prefijo web-)
+ * @param {string} content contenido del componente
+ */
+export function defineComponent(filePath, content) {
+	const tagName = `web-${filePath}`;
+	const defined = customElements.get(tagName);
+
+	if (defined) {
+		// Solo los componentes definidos por webeact se pueden recargar
+		if (!defined.instances || defined.source === content) return;
+		console.log(`Recargando ${tagName}...`);
+		defined.source = content;
+		// Los atributos observados se fijan al definir el elemento, los tipos y defaults no
+		defined.props = parseProps(content);
+		defined.instances.forEach((instance) => instance.hotReload(content).catch((error) => instance.handleError(error, "render")));
+		return;
+	}
+
+	console.log(`Cargando ${filePath} como ${tagName}...`);
+	customElements.define(
+		tagName,
+		class extends Element {
+			// Template actual del componente (se reemplaza en los hot reload)
+			static source = content;
+			// Props declaradas (definen los observedAttributes)
+			static props = parseProps(content);
+			// Instancias conectadas al DOM
+			static instances = new Set();
+
+			constructor() {
+				super(new.target.source);
+			}
+		}
+	); // define
+	if( filePath === "main-app" && customElements.get("web-main-app") ) mountMainApp();
+}
+
+let mainApp = document.querySelector("web-main-app");
+/**
+ * Monta el web-main-app al principio del body (si no está ya en el documento)
+ */
+export function mountMainApp(){
+	if(mainApp !== null) return;
+
+	console.log("Mounting main app...");
+	mainApp = document.createElement("web-main-app");
+	while(!mainApp) mainApp = document.createElement("web-main-app");
+	try {
+		document.body.prepend(mainApp);
+	} catch (error) {
+		console.error(`Error mounting main app: ${error}`);
+	}
+}
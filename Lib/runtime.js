@@ -0,0 +1,47 @@
+/**
+ * Runtime para los módulos (import "webeact").
+ * En los scripts módulo de los componentes "webeact" es el scope de la instancia (sus hooks, ctx, component y doc);
+ * en los módulos compartidos (ej: cargados con el import map del documento) solo están las utilidades
+ */
+export { navigate } from "./Router.js";
+export { createContext } from "./hooks/index.js";
+export { createStore, logger, thunk } from "./store.js";
+
+/**
+ * Scopes de los scripts módulo que se están cargando (se liberan al terminar de evaluarse)
+ * @type {Map<string, Object<string, *>>}
+ */
+const scopes = new Map();
+
+// Contador para los IDs de los scopes
+let nextScope = 0;
+
+/**
+ * Registra el scope de un script módulo
+ * @param {Object<string, *>} scope valores que exporta "webeact" para el módulo
+ * @returns {string} ID del scope
+ */
+export function openModuleScope(scope) {
+	const id = `scope-${nextScope++}`;
+	scopes.set(id, scope);
+	return id;
+}
+
+/**
+ * Obtiene el scope de un script módulo (lo usa el módulo generado para "webeact")
+ * @param {string} id ID del scope
+ * @returns {Object<string, *>} scope del módulo
+ */
+export function getModuleScope(id) {
+	const scope = scopes.get(id);
+	if (!scope) throw new Error(`El scope ${id} ya no existe (el módulo terminó de cargarse)`);
+	return scope;
+}
+
+/**
+ * Libera el scope de un script módulo
+ * @param {string} id ID del scope
+ */
+export function closeModuleScope(id) {
+	scopes.delete(id);
+}
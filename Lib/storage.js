@@ -0,0 +1,231 @@
+/**
+ * @typedef StoredEntry
+ * @property {number} version versión del esquema con el que se guardó el valor
+ * @property {*} value valor guardado
+ */
+
+/**
+ * Interfaz de los almacenamientos usados por useLocalStorage y useState(valor, key)
+ * @typedef StorageAdapter
+ * @property {string} name nombre del almacenamiento
+ * @property {boolean} async si get, set y remove retornan promesas
+ * @property {function(string): StoredEntry|undefined|Promise<StoredEntry|undefined>} get lee una entrada
+ * @property {function(string, StoredEntry): void|Promise<void>} set guarda una entrada
+ * @property {function(string): void|Promise<void>} remove elimina una entrada
+ * @property {function(function(string, StoredEntry|undefined):void): function():void} [subscribe] recibe las entradas que cambian desde otras pestañas (retorna la función para cancelar)
+ */
+
+/**
+ * @typedef StorageOptions
+ * @property {string|StorageAdapter} [storage='local'] almacenamiento: "local", "session", "indexedDB" o un adaptador propio
+ * @property {number} [version=0] versión actual del esquema del valor
+ * @property {Object<number, function(*):*>} [migrations] funciones que convierten el valor a cada versión
+ * @property {function(Error):void} [onError] recibe los errores al guardar (ej: StorageQuotaError)
+ * @property {"remote"|"local"|function(*, *):*} [sync='remote'] qué hacer cuando otra pestaña cambia el valor:
+ * usar el suyo ("remote"), ignorarlo ("local") o combinar ambos con una función (local, remoto) => valor
+ */
+
+/**
+ * Error que se lanza cuando el almacenamiento no tiene espacio para guardar un valor
+ */
+export class StorageQuotaError extends Error {
+	/**
+	 * @param {string} key clave que no se pudo guardar
+	 * @param {Error} cause error original del navegador
+	 */
+	constructor(key, cause) {
+		super(`No hay espacio en el almacenamiento para guardar "${key}"`, { cause });
+		this.name = "StorageQuotaError";
+		this.key = key;
+	}
+}
+
+/**
+ * Verifica si un error del navegador es por falta de espacio
+ * @param {*} error error a verificar
+ * @returns {boolean} true si es un error de cuota
+ */
+export function isQuotaError(error) {
+	return error instanceof DOMException && (
+		error.name === "QuotaExceededError" ||
+		error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+		error.code === 22
+	);
+}
+
+/**
+ * Crea un adaptador para localStorage o sessionStorage (síncrono)
+ * @param {string} name nombre del adaptador
+ * @param {function(): Storage} getStorage retorna el Storage del navegador
+ * @returns {StorageAdapter} adaptador
+ */
+function webStorageAdapter(name, getStorage) {
+	return {
+		name,
+		async: false,
+		get(key) {
+			const raw = getStorage().getItem(key);
+			return raw === null ? undefined : JSON.parse(raw);
+		},
+		set(key, entry) {
+			try {
+				getStorage().setItem(key, JSON.stringify(entry));
+			} catch (error) {
+				throw isQuotaError(error) ? new StorageQuotaError(key, error) : error;
+			}
+		},
+		remove(key) {
+			getStorage().removeItem(key);
+		},
+		subscribe(listener) {
+			// El evento storage solo llega a las otras pestañas (no a la que escribió)
+			const onStorage = (event) => {
+				if (event.key === null || event.storageArea !== getStorage()) return;
+				try {
+					listener(event.key, event.newValue === null ? undefined : JSON.parse(event.newValue));
+				} catch (error) {
+					console.warn(`No se pudo leer el cambio de "${event.key}" de otra pestaña:`, error);
+				}
+			};
+			window.addEventListener("storage", onStorage);
+			return () => window.removeEventListener("storage", onStorage);
+		}
+	};
+}
+
+/**
+ * Crea un adaptador para IndexedDB (asíncrono, para datos grandes).
+ * La base de datos se abre la primera vez que se usa
+ * @param {{database?: string, objectStore?: string}} options nombre de la base de datos y del object store
+ * @returns {StorageAdapter} adaptador
+ */
+export function indexedDBAdapter({ database = "webeact", objectStore = "state" } = {}) {
+	let opening = null;
+	let channel = null;
+
+	/**
+	 * Canal para avisar a las otras pestañas de los cambios (IndexedDB no tiene eventos)
+	 * @returns {BroadcastChannel|null} canal (null si el navegador no lo soporta)
+	 */
+	const getChannel = () => {
+		if (!channel && typeof BroadcastChannel === "function") {
+			channel = new BroadcastChannel(`webeact-storage:${database}`);
+		}
+		return channel;
+	};
+
+	/**
+	 * Abre (una única vez) la base de datos
+	 * @returns {Promise<IDBDatabase>} base de datos abierta
+	 */
+	const open = () => {
+		opening ??= new Promise((resolve, reject) => {
+			const request = window.indexedDB.open(database, 1);
+			request.onupgradeneeded = () => request.result.createObjectStore(objectStore);
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+		return opening;
+	};
+
+	/**
+	 * Ejecuta una operación en una transacción y espera a que termine
+	 * @param {IDBTransactionMode} mode modo de la transacción
+	 * @param {function(IDBObjectStore): IDBRequest} operation operación a ejecutar
+	 * @param {string} key clave de la operación (para los errores)
+	 * @returns {Promise<*>} resultado de la operación
+	 */
+	const run = async (mode, operation, key) => {
+		const db = await open();
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(objectStore, mode);
+			const request = operation(transaction.objectStore(objectStore));
+			const fail = () => {
+				const error = transaction.error ?? request.error;
+				reject(isQuotaError(error) ? new StorageQuotaError(key, error) : error);
+			};
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = fail;
+			transaction.onabort = fail;
+		});
+	};
+
+	return {
+		name: "indexedDB",
+		async: true,
+		get: (key) => run("readonly", (store) => store.get(key), key),
+		set: async (key, entry) => {
+			await run("readwrite", (store) => store.put(entry, key), key);
+			getChannel()?.postMessage({ key, entry });
+		},
+		remove: async (key) => {
+			await run("readwrite", (store) => store.delete(key), key);
+			getChannel()?.postMessage({ key, entry: undefined });
+		},
+		subscribe(listener) {
+			const broadcast = getChannel();
+			if (!broadcast) return () => {};
+			const onMessage = ({ data }) => listener(data.key, data.entry);
+			broadcast.addEventListener("message", onMessage);
+			return () => broadcast.removeEventListener("message", onMessage);
+		}
+	};
+}
+
+/**
+ * Almacenamientos disponibles por nombre
+ * @type {Map<string, StorageAdapter>}
+ */
+const adapters = new Map([
+	["local", webStorageAdapter("local", () => window.localStorage)],
+	["session", webStorageAdapter("session", () => window.sessionStorage)],
+	["indexedDB", indexedDBAdapter()]
+]);
+
+/**
+ * Registra un almacenamiento propio para usarlo por su nombre
+ * @param {StorageAdapter} adapter adaptador a registrar
+ */
+export function registerStorageAdapter(adapter) {
+	adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Obtiene el adaptador de un almacenamiento
+ * @param {string|StorageAdapter} storage nombre del almacenamiento o un adaptador
+ * @returns {StorageAdapter} adaptador
+ */
+export function resolveStorageAdapter(storage = "local") {
+	if (typeof storage === "object" && storage !== null) return storage;
+	if (adapters.has(storage)) return adapters.get(storage);
+
+	console.warn(`Almacenamiento desconocido "${storage}", se usará localStorage`);
+	return adapters.get("local");
+}
+
+/**
+ * Convierte un valor guardado a la versión actual del esquema
+ * aplicando en orden las migraciones de las versiones intermedias
+ * @param {StoredEntry} entry entrada guardada
+ * @param {StorageOptions} options versión actual y migraciones
+ * @returns {{value: *, migrated: boolean}} valor en la versión actual y si se tuvo que migrar
+ */
+export function migrate(entry, { version = 0, migrations = {} } = {}) {
+	const from = entry.version ?? 0;
+	let value = entry.value;
+
+	if (from > version) {
+		console.warn(`El valor guardado es de una versión más nueva (${from} > ${version}), se usa sin migrar`);
+		return { value, migrated: false };
+	}
+
+	Object.keys(migrations)
+		.map(Number)
+		.filter((target) => target > from && target <= version)
+		.sort((a, b) => a - b)
+		.forEach((target) => {
+			value = migrations[target](value);
+		});
+
+	return { value, migrated: from < version };
+}
@@ -0,0 +1,92 @@
+/**
+ * @typedef Store
+ * @property {function():*} getState retorna el estado actual
+ * @property {function(*):*} dispatch envía una acción (pasa por los middlewares)
+ * @property {function(function(*, *):void): function():void} subscribe suscribe un listener (recibe el estado nuevo y el anterior), retorna la función para cancelar
+ */
+
+/**
+ * Middleware del store (como en redux): recibe el store y la siguiente función dispatch
+ * @typedef {function(Store): function(function(*):*): function(*):*} Middleware
+ */
+
+/**
+ * @typedef StoreOptions
+ * @property {string} [name] nombre del store: el mismo nombre retorna el mismo store en cualquier componente
+ * @property {Middleware[]} [middleware] middlewares por los que pasan las acciones (en orden)
+ */
+
+/**
+ * Stores creados con nombre
+ * @type {Map<string, Store>}
+ */
+const stores = new Map();
+
+/**
+ * Crea un store global: un estado que se actualiza con un reducer y notifica a sus suscriptores
+ * @param {function(*, *):*} reducer función que recibe el estado y una acción, y retorna el nuevo estado
+ * @param {*} initialState estado inicial
+ * @param {StoreOptions} options nombre del store y middlewares
+ * @returns {Store} store
+ */
+export function createStore(reducer, initialState, { name, middleware = [] } = {}) {
+	if (name !== undefined && stores.has(name)) return stores.get(name);
+
+	let state = initialState;
+	const listeners = new Set();
+
+	/**
+	 * Aplica la acción con el reducer y notifica si el estado cambió
+	 * @param {*} action acción a aplicar
+	 * @returns {*} la acción aplicada
+	 */
+	const reduce = (action) => {
+		const previous = state;
+		state = reducer(state, action);
+		if (!Object.is(previous, state)) {
+			[...listeners].forEach((listener) => {
+				try {
+					listener(state, previous);
+				} catch (error) {
+					console.error('Error in store listener:', error);
+				}
+			});
+		}
+		return action;
+	};
+
+	const store = {
+		getState: () => state,
+		dispatch: (action) => dispatch(action),
+		subscribe: (listener) => {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		}
+	};
+
+	// Los middlewares se aplican de derecha a izquierda para que se ejecuten en orden
+	const dispatch = middleware.reduceRight((next, apply) => apply(store)(next), reduce);
+
+	if (name !== undefined) stores.set(name, store);
+	return store;
+}
+
+/**
+ * Middleware que muestra en la consola cada acción con el estado anterior y el nuevo
+ * @type {Middleware}
+ */
+export const logger = (store) => (next) => (action) => {
+	const previous = store.getState();
+	const result = next(action);
+	console.log('[store]', action?.type ?? action, { previous, next: store.getState() });
+	return result;
+};
+
+/**
+ * Middleware para acciones asíncronas: si la acción es una función se llama con (dispatch, getState)
+ * @type {Middleware}
+ */
+export const thunk = (store) => (next) => (action) => {
+	if (typeof action === "function") return action(store.dispatch, store.getState);
+	return next(action);
+};
@@ -17,3 +17,30 @@ export function compareArrays(arr1, arr2) {
 	return true;
 }
 
+
+/**
+ * Compara dos valores superficialmente: iguales si son el mismo valor o si son
+ * objetos (o arrays) con las mismas claves y los mismos valores en cada clave
+ * @param {*} a valor a la izquierda de la comparación
+ * @param {*} b valor a la derecha de la comparación
+ * @returns {boolean} true si son iguales
+ */
+export function shallowEqual(a, b) {
+	if (Object.is(a, b)) return true;
+	if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+	if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+	const keys = Object.keys(a);
+	if (keys.length !== Object.keys(b).length) return false;
+	return keys.every((key) => Object.hasOwn(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Verifica si un nombre es un identificador de JavaScript válido
+ * (se puede usar como variable, parámetro o binding de un export)
+ * @param {string} name nombre a verificar
+ * @returns {boolean} true si es un identificador
+ */
+export function isIdentifier(name) {
+	return /^[A-Za-z_$][\w$]*$/.test(name);
+}
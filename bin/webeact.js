@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+import { parseArgs } from "util";
+import path from "path";
+import { build } from "../src/build.js";
+
+/**
+ * Ayuda del comando
+ * @type {string}
+ */
+const USAGE = `Uso: webeact build [opciones]
+
+Pre-construye los componentes en un módulo ES para un hosting estático.
+
+Opciones:
+  -c, --components <dir>  directorio de los componentes (por defecto: $COMPONENTS_DIRECTORY o components)
+  -o, --out <dir>         directorio de salida (por defecto: dist)
+  -p, --pages <dir>       subdirectorio de las páginas dentro de los componentes (por defecto: pages)
+  -h, --help              muestra esta ayuda`;
+
+/**
+ * Punto de entrada del CLI
+ * @param {string[]} argv argumentos del comando (sin node ni el script)
+ * @returns {Promise<number>} código de salida
+ */
+async function main(argv) {
+	const { values, positionals } = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			components: { type: "string", short: "c" },
+			out: { type: "string", short: "o" },
+			pages: { type: "string", short: "p" },
+			help: { type: "boolean", short: "h" }
+		}
+	});
+
+	const [command] = positionals;
+	if (values.help || command === undefined) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (command !== "build") {
+		console.error(`Comando desconocido: ${command}\n\n${USAGE}`);
+		return 1;
+	}
+
+	const { entry, components } = await build({
+		componentsDirectory: values.components ?? process.env.COMPONENTS_DIRECTORY ?? "components",
+		outDirectory: values.out,
+		pagesDirectory: values.pages
+	});
+	console.log(`[BUILD] ${components.length} componentes: ${components.join(", ")}`);
+	console.log(`[BUILD] ${path.relative(process.cwd(), entry)}`);
+	return 0;
+}
+
+main(process.argv.slice(2))
+	.then((code) => { process.exitCode = code; })
+	.catch((err) => {
+		console.error(`[BUILD] Error: ${err.message}`);
+		process.exitCode = 1;
+	});
@@ -1,15 +1,21 @@
 import express from 'express';
 import webeact from 'webeact';
 import path from 'path';
+import { promises as fs } from 'fs';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const EXAMPLE_DIR = path.join(process.cwd(), 'public');
 
-app.use("/webeact", webeact({logRequest: true}))
+const components = webeact({logRequest: true, pages: true});
+app.use("/webeact", components)
+// Páginas a partir de los ficheros de components/pages
+app.use(components.pages);
 
-app.get('/', (_req, res) => {
-	res.sendFile(path.join(EXAMPLE_DIR, 'index.html'));
+app.get('/', async (_req, res) => {
+	// Renderizar los componentes en el servidor (Declarative Shadow DOM)
+	const page = await fs.readFile(path.join(EXAMPLE_DIR, 'index.html'), 'utf-8');
+	res.send(await components.renderPage(page));
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,87 @@
+import { promises as fs, existsSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { cacheEngine } from "./view-cache.js";
+import { componentName, getFilesNames } from "./components.js";
+import { scanPages } from "./pages.js";
+
+/**
+ * Directorio con el runtime del cliente (Lib) de este paquete
+ * @type {string}
+ */
+const LIB_DIRECTORY = fileURLToPath(new URL("../Lib", import.meta.url));
+
+/**
+ * @typedef BuildOptions
+ * @property {string} [componentsDirectory='components'] directorio de los componentes
+ * @property {string} [outDirectory='dist'] directorio donde se escribe el resultado
+ * @property {string} [pagesDirectory='pages'] subdirectorio de las páginas (también se exportan como componentes web-page-*)
+ */
+
+/**
+ * @typedef BuildResult
+ * @property {string} entry ruta del módulo generado (webeact.js)
+ * @property {string[]} components nombres de los componentes exportados
+ */
+
+/**
+ * Genera el código del módulo que define todos los componentes
+ * @param {Object<string, string>} components contenido de cada componente por nombre
+ * @returns {string} código del módulo
+ */
+export function bundleSource(components) {
+	const entries = Object.entries(components)
+		.map(([name, content]) => `\t${JSON.stringify(name)}: ${JSON.stringify(content)}`)
+		.join(",\n");
+
+	return `// Generado por "webeact build": no editar
+import { defineComponent } from "./lib/registry.js";
+
+const components = {
+${entries}
+};
+
+Object.entries(components).forEach(([name, content]) => defineComponent(name, content));
+`;
+}
+
+/**
+ * Pre-construye los componentes en un módulo ES (webeact.js) junto a una copia del runtime (lib/)
+ * para desplegarlos en un hosting estático: <script type="module" src="webeact.js"></script>
+ * @param {BuildOptions} options opciones del build
+ * @returns {Promise<BuildResult>} resultado del build
+ */
+export async function build(options = {}) {
+	const componentsDirectory = options.componentsDirectory ?? "components";
+	const outDirectory = path.resolve(options.outDirectory ?? "dist");
+	const pagesDirectory = path.join(componentsDirectory, options.pagesDirectory ?? "pages");
+
+	if (!existsSync(componentsDirectory)) {
+		throw new Error(`Components directory not found: ${path.resolve(componentsDirectory)}`);
+	}
+
+	// Sin cache: cada fichero se lee una vez (con los <import-file> expandidos)
+	const { getViewContent } = cacheEngine({ viewsDirectory: componentsDirectory, cacheSize: 0 });
+
+	const [names, filePaths] = await getFilesNames(componentsDirectory, pagesDirectory);
+	const pages = existsSync(pagesDirectory) ? await scanPages(pagesDirectory, componentsDirectory) : [];
+
+	const components = {};
+	for (let idx = 0; idx < names.length; idx++) {
+		components[componentName(names[idx], filePaths[idx], componentsDirectory)] = await getViewContent(names[idx]);
+	}
+	for (const page of pages) {
+		components[page.name] = await getViewContent(page.viewPath);
+	}
+
+	await fs.rm(path.join(outDirectory, "lib"), { recursive: true, force: true });
+	await fs.mkdir(outDirectory, { recursive: true });
+	await fs.cp(LIB_DIRECTORY, path.join(outDirectory, "lib"), { recursive: true });
+
+	const entry = path.join(outDirectory, "webeact.js");
+	await fs.writeFile(entry, bundleSource(components), "utf-8");
+
+	return { entry, components: Object.keys(components) };
+}
+
+export default build;
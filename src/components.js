@@ -0,0 +1,56 @@
+import path from "path";
+import { glob } from "./iglob.js";
+
+/**
+ * Nombre público de un componente (el index.html de la raíz es el main-app)
+ * @param {string} name nombre del componente en el índice
+ * @param {string} filePath ruta del fichero del componente
+ * @param {string} directory directorio de los componentes
+ * @returns {string} nombre con el que el cliente registra el componente
+ */
+export function componentName(name, filePath, directory) {
+	const isMainAppIndex = filePath.toLowerCase().includes(path.join(directory.toLowerCase(),"index.html"));
+	return isMainAppIndex ? "main-app" : name;
+}
+
+/**
+ * Retorna el nombre de todos los componentes (nombre de los archivos sin sus extensiones)
+ * @param {string} directory directorio de los componentes
+ * @param {string|null} excludeDirectory directorio que no contiene componentes (el de las páginas)
+ * @returns {Promise<Array>} array con los nombres de los ficheros en la carpeta components configurada
+ */
+export async function getFilesNames(directory, excludeDirectory = null) {
+	/**
+	 *
+	 * @param {string} s FilePath a ser convertido
+	 * @returns {string}
+	 */
+	const names = (s) => {
+		if( s !== `${directory}/index.html` && s !== `${directory}` && s !== `${directory}/`){
+			s = s.replace(directory, "");
+			s = s.replace("/index.html", "").replace("index.html", "");
+		}
+		const ss = s.split("/");
+		return ss[ss.length - 1].split('.')[0].toLowerCase();
+	}
+	// Recorrer solo el directorio de componentes (y no todo el process.cwd)
+	const root = path.resolve(directory);
+	const allDirectoriesComponents = glob(path.join(directory, "**/index.html"), names, root);
+	const allComponents = await glob(path.join(directory, "*.html"), names, root);
+	const found = [
+		[
+			...(allComponents[0]),
+			...((await allDirectoriesComponents)[0])
+		],
+		[
+			...(allComponents[1]),
+			...((await allDirectoriesComponents)[1])
+		]
+	];
+	if (!excludeDirectory) return found;
+
+	// Los index.html de las páginas no son componentes con nombre propio
+	const excluded = path.resolve(excludeDirectory) + path.sep;
+	const keep = found[1].map((filePath) => !path.resolve(filePath).startsWith(excluded));
+	return found.map((list) => list.filter((_, idx) => keep[idx]));
+}
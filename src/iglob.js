@@ -34,9 +34,10 @@ export function globToRegExp(glob) {
  *
  * @param {string} pattern - El patrón glob a buscar.
  * @param {function} [transform=(a) => a] - Función que se le aplica a cada ruta de archivo antes de agregarla al resultado.
+ * @param {string} [root=process.cwd()] - Directorio desde el que se empieza a recorrer.
  * @returns {Promise<string[]>} Una lista de rutas de archivo que coinciden con el patrón.
  */
-export async function globAsync(pattern, transform = (a) => a) {
+export async function globAsync(pattern, transform = (a) => a, root = process.cwd()) {
 	const regex = globToRegExp(pattern);
 	const results = [];
 	const rawResults = [];
@@ -68,7 +69,7 @@ export async function globAsync(pattern, transform = (a) => a) {
 		}
 	}
 
-	await traverse(process.cwd());
+	await traverse(root);
 	return [results, rawResults];
 }
 
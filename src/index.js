@@ -1,10 +1,11 @@
-import { glob } from "./iglob.js";
-import { diffArray, areEquals } from "./array_utils.js";
 import { cacheEngine } from "./view-cache.js";
 import { router } from "./router.js";
+import { componentWatcher, hashContent } from "./watcher.js";
+import { componentName, getFilesNames } from "./components.js";
+import { scanPages, pageShell } from "./pages.js";
+import { renderComponents } from "./ssr.js";
 
 import path from "path";
-const routing = router();
 
 /**
  * Carga una variable de entorno o retrona un path absoluto al elseName
@@ -39,110 +40,274 @@ let CMPNAME = _loadEnv("COMPONENTS_DIRECTORY", "components");
  */
 const LIBNAME = path.join(process.cwd(), "node_modules/webeact/Lib");
 /**
- * El ratio de refresco para detectar componentes nuevos
+ * El ratio de refresco para detectar componentes nuevos (solo si fs.watch no está disponible)
  * @type {number}
  */
-const CMPS_REFRESH = _envOr("CMPS_REFRESH", (2.5 * 1000)); // 2.5 segundos
+const CMPS_REFRESH = Number(_envOr("CMPS_REFRESH", (2.5 * 1000))); // 2.5 segundos
 /**
- * Si es en producción o no
+ * Si es en producción o no (PRODUCTION=false o PRODUCTION=0 para desactivarlo)
  * @type {boolean}
  */
-const PRODUCTION = _envOr("PRODUCTION", true);
+const PRODUCTION = !["false", "0"].includes(String(_envOr("PRODUCTION", true)).toLowerCase());
+/**
+ * Tamaño máximo (en bytes) de un lote de errores enviado por el cliente
+ * @type {number}
+ */
+const MAX_ERRORS_BODY = 64 * 1024;
 
-// Servir todos los scripts del lib
-routing.use_static(LIBNAME);
+/**
+ * Crea el handler del SSE (server side events / eventos enviados desde el servidor)
+ * @param {import("./watcher.js").ComponentWatcher} watcher watcher compartido con el índice de componentes
+ * @param {{devtools: boolean, errors: boolean}} config configuración que se envía al cliente al conectarse
+ * @returns {Function} handler para la ruta del SSE
+ */
+function handleSSE(watcher, config) {
+	/**
+	 * Habilita el SSE para un cliente
+	 * @param {Request} req Información sobre la petición
+	 * @param {Response} res Información sobre la respuesta
+	 */
+	return (req, res) => {
+		// Cabeceras necesarias para el SSE
+		res.setHeader("Content-Type", "text/event-stream");
+		res.setHeader("Cache-Control", "no-cache");
+		res.setHeader("Connection", "keep-alive");
+
+		// Mandar un mensaje inicial al cliente
+		res.write(`data: Webeact SSE\n\n`);
+		res.write(`event: config\n`);
+		res.write(`data: ${JSON.stringify(config)}\n\n`);
+
+		/**
+		 * Notifica al cliente los nombres de los componentes (el contenido se pide a /component/:name)
+		 * @param {string} event nombre del evento SSE (update, change o remove)
+		 * @param {[string]} names Array de los nombres de los componentes en el índice
+		 * @param {Map<string, Object>} index índice donde están los componentes (el anterior para los eliminados)
+		 */
+		const sendNames = (event, names, index) => {
+			if (names.length === 0) return;
+			const data = names.map((name) => componentName(name, index.get(name).filePath, CMPNAME));
+			res.write(`event: ${event}\n`);
+			res.write(`data: ${JSON.stringify(data)}\n\n`);
+		};
+
+		// Escuchar los cambios detectados por el watcher compartido
+		const unsubscribe = watcher.subscribe(({ added, changed, removed, previous }) => {
+			sendNames("remove", removed, previous);
+			sendNames("update", added, watcher.components);
+			sendNames("change", changed, watcher.components);
+		});
+
+		// When client closes connection, stop sending events
+		req.on("close", () => {
+			unsubscribe();
+			res.end();
+		});
+	};
+}
 
 /**
- * Habilita el SSE (server side events / eventos enviados desde el servidor)
- * @param {Request} req Información sobre la petición
- * @param {Response} res Información sobre la respuesta
+ * Busca un componente del índice por su nombre público
+ * @param {Map<string, Object>} index índice de componentes del watcher
+ * @param {string} publicName nombre con el que el cliente registra el componente
+ * @returns {string|undefined} nombre del componente en el índice
  */
-async function handleSSE(req,res) {
-	// Cabeceras necesarias para el SSE
-	res.setHeader("Content-Type", "text/event-stream");
-	res.setHeader("Cache-Control", "no-cache");
-	res.setHeader("Connection", "keep-alive");
+function findComponent(index, publicName) {
+	for (const [name, entry] of index) {
+		if (componentName(name, entry.filePath, CMPNAME) === publicName) return name;
+	}
+	return undefined;
+}
 
-	// Mandar un mensaje inicial al cliente
-	res.write(`data: Webeact SSE\n\n`);
-	// lógica de mandar un evento con los datos de los ficheros
+/**
+ * Crea el handler que envía la definición de un componente (carga bajo demanda)
+ * @param {import("./watcher.js").ComponentWatcher} watcher watcher compartido con el índice de componentes
+ * @returns {Function} handler para la ruta /component/:name
+ */
+function handleComponent(watcher) {
 	/**
-	 * Envía al cliente la información para montar los web components
-	 * @param {[string]} data Array de los nombres de ficheros
-	 * @param {[string]} raw Array de la ruta de los ficheros
+	 * Envía el contenido de un componente
+	 * @param {Request} req Información sobre la petición
+	 * @param {Response} res Información sobre la respuesta
 	 */
-	const sendEvent = async (data, raw) => {
-		let data2send = [];
-		let idx = 0;
-		for (const filePath of Array.from(data)) {
-			// por cada fichero de componente obtenemos su nombre y su contenido
-			console.log(`Sending file: ${filePath}`);
-			const isMainAppIndex = raw[idx++].toLowerCase().includes(path.join(CMPNAME.toLowerCase(),"index.html"));
-			data2send.push({
-				filePath: isMainAppIndex ? "main-app" : filePath,
-				content: await res.webeactViewContent(`${filePath}`)
+	return async (req, res) => {
+		const publicName = req.params.name;
+		// Los componentes nuevos los detecta el watcher: un nombre desconocido no provoca un escaneo
+		const name = findComponent(await watcher.current(), publicName);
+
+		if (name === undefined) {
+			res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end(`Component not found: ${publicName}`);
+			return;
+		}
+
+		try {
+			const content = await watcher.load(name);
+			// El cliente revalida siempre (no-cache), si no cambió se responde 304
+			const etag = `"${hashContent(content)}"`;
+			if (req.headers["if-none-match"] === etag) {
+				res.writeHead(304, { "ETag": etag });
+				res.end();
+				return;
+			}
+			res.writeHead(200, {
+				"Content-Type": "text/html; charset=utf-8",
+				"Content-Length": Buffer.byteLength(content, "utf-8"),
+				"Cache-Control": "no-cache",
+				"ETag": etag
 			});
+			res.end(content);
+		} catch (err) {
+			console.error(`Error sending component ${publicName}: ${err}`);
+			res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end(`Component not found: ${publicName}`);
 		}
-		res.write(`event: update\n`);
-		res.write(`data: ${JSON.stringify(data2send)}\n\n`);
 	};
+}
+
+/**
+ * @typedef ClientError
+ * @property {string} name nombre del error (ej: TypeError)
+ * @property {string} message mensaje del error
+ * @property {string|null} stack stack del error en el navegador
+ * @property {string} [component] etiqueta del componente que falló (no la tienen los errores de window)
+ * @property {"render"|"script"|"effect"|"event"|"external-script"|"window"|"unhandledrejection"} source dónde ocurrió el error
+ * @property {{id: string, renderCount: number, hookCount: number}|null} [frame] información del frame de hooks del componente
+ * @property {number} count veces que se repitió el error en el lote
+ * @property {string} url página en la que ocurrió
+ * @property {string} time fecha del error (ISO 8601)
+ */
 
-	// mandar un mensaje con los archivos detectados
-	let [data, rawData] = await getFilesNames(); // cacheamos los archivos ya enviados
-	sendEvent(data, rawData);
-
-	// Y luego actualizar cada cierta cantidad de segundos
-	const intervalId = setInterval(() => {
-		getFilesNames().then(([newDatas, newRawDatas]) => {
-			// Verificar que hayan nuevos componentes
-			if (!areEquals(data, newDatas)) {
-				// Y enviar solo la diferencia
-				newDatas = diffArray(newDatas, data);
-				sendEvent(newDatas, newRawDatas);
-				data.push(...newDatas); // actualizar la lista de los componentes
+/**
+ * Lee el cuerpo JSON de una petición (o el que ya leyó un middleware como express.json)
+ * @param {Request} req Información sobre la petición
+ * @param {number} limit tamaño máximo del cuerpo en bytes
+ * @returns {Promise<*>} cuerpo de la petición
+ */
+function readJSONBody(req, limit) {
+	if (req.body !== undefined) return Promise.resolve(req.body);
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let size = 0;
+		req.on("data", (chunk) => {
+			size += chunk.length;
+			// Se sigue leyendo (sin guardar) para poder responder antes de cerrar la conexión
+			if (size > limit) reject(new RangeError(`Body too large (> ${limit} bytes)`));
+			else chunks.push(chunk);
+		});
+		req.on("end", () => {
+			try {
+				resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+			} catch (err) {
+				reject(err);
 			}
-		}).catch(err => console.error(`Error on getting files names: ${err}`));
-	}, CMPS_REFRESH); // actualizar información cada cierta cantidad de segundos
+		});
+		req.on("error", reject);
+	});
+}
 
-	// When client closes connection, stop sending events
-	req.on("close", () => {
-		clearInterval(intervalId);
+/**
+ * Crea el handler que recibe los errores de los componentes enviados por el cliente
+ * @param {function(ClientError, Request): void} onClientError recibe cada error (y la petición que lo envió)
+ * @returns {Function} handler para la ruta /errors
+ */
+function handleClientErrors(onClientError) {
+	/**
+	 * Recibe un lote de errores ({ errors: ClientError[] })
+	 * @param {Request} req Información sobre la petición
+	 * @param {Response} res Información sobre la respuesta
+	 */
+	return async (req, res) => {
+		let errors;
+		try {
+			({ errors } = await readJSONBody(req, MAX_ERRORS_BODY));
+			if (!Array.isArray(errors)) throw new TypeError("errors must be an array");
+		} catch (err) {
+			if (res.headersSent || res.destroyed) return;
+			res.writeHead(err instanceof RangeError ? 413 : 400, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end(`Invalid error report: ${err.message}`);
+			return;
+		}
+
+		res.writeHead(204);
 		res.end();
-	});
+		// Un error del callback no debe afectar al resto del lote
+		errors.forEach((error) => {
+			Promise.resolve()
+				.then(() => onClientError(error, req))
+				.catch((err) => console.error(`Error in onClientError: ${err}`));
+		});
+	};
 }
 
-routing.get("/connect", handleSSE);
+/**
+ * @typedef ManifestEntry
+ * @property {string} name nombre del componente
+ * @property {string} tag tag del componente (web-<name>)
+ * @property {string} path fichero del componente relativo al directorio de componentes
+ * @property {string} hash hash (sha1) del contenido con los <import-file> expandidos
+ * @property {number} size tamaño del contenido en bytes
+ * @property {string} mtime fecha de modificación del fichero (ISO 8601)
+ * @property {string[]} dependencies ficheros importados con <import-file> (relativos al directorio de componentes)
+ */
 
 /**
- * Retorna el nombre de todos los componentes (nombre de los archivos sin sus extensiones)
- * @returns {Promise<Array>} array con los nombres de los ficheros en la carpeta components configurada
+ * Crea el handler del manifiesto con todos los componentes que conoce el middleware
+ * @param {import("./watcher.js").ComponentWatcher} watcher watcher compartido con el índice de componentes
+ * @param {function(string): Promise<import("./view-cache.js").ViewEntry>} getView función que retorna el fichero de un componente
+ * @returns {Function} handler para la ruta /manifest.json
  */
-async function getFilesNames() {
+function handleManifest(watcher, getView) {
 	/**
-	 *
-	 * @param {string} s FilePath a ser convertido
-	 * @returns {string}
+	 * Envía el manifiesto
+	 * @param {Request} req Información sobre la petición
+	 * @param {Response} res Información sobre la respuesta
 	 */
-	const names = (s) => {
-		if( s !== `${CMPNAME}/index.html` && s !== `${CMPNAME}` && s !== `${CMPNAME}/`){
-			s = s.replace(CMPNAME, "");
-			s = s.replace("/index.html", "").replace("index.html", "");
+	return async (req, res) => {
+		try {
+			const root = path.resolve(CMPNAME);
+			const index = await watcher.current();
+			/** @type {ManifestEntry[]} */
+			const components = [];
+			for (const [name, entry] of index) {
+				const view = await getView(name).catch(() => null);
+				// Eliminado durante el escaneo
+				if (view === null) continue;
+
+				const publicName = componentName(name, entry.filePath, CMPNAME);
+				components.push({
+					name: publicName,
+					tag: `web-${publicName}`,
+					path: path.relative(root, view.filePath).replace(/\\/g, "/"),
+					hash: hashContent(view.content),
+					size: Buffer.byteLength(view.content, "utf-8"),
+					mtime: view.mtime.toISOString(),
+					dependencies: view.dependencies.map((dependency) => path.relative(root, dependency.path).replace(/\\/g, "/"))
+				});
+			}
+
+			const body = JSON.stringify({ components }, null, 2);
+			const etag = `"${hashContent(body)}"`;
+			if (req.headers["if-none-match"] === etag) {
+				res.writeHead(304, { "ETag": etag });
+				res.end();
+				return;
+			}
+			res.writeHead(200, {
+				"Content-Type": "application/json; charset=utf-8",
+				"Content-Length": Buffer.byteLength(body, "utf-8"),
+				"Cache-Control": "no-cache",
+				"ETag": etag
+			});
+			res.end(body);
+		} catch (err) {
+			console.error(`Error building the manifest: ${err}`);
+			if (!res.headersSent) {
+				res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+				res.end("Internal Server Error");
+			}
 		}
-		const ss = s.split("/");
-		return ss[ss.length - 1].split('.')[0].toLowerCase();
-	}
-	const allDirectoriesComponents = glob(path.join(CMPNAME, "**/index.html"), names);
-	const allComponents = await glob(path.join(CMPNAME, "*.html"), names);
-	return [
-		[
-			...(allComponents[0]),
-			...((await allDirectoriesComponents)[0])
-		],
-		[
-			...(allComponents[1]),
-			...((await allDirectoriesComponents)[1])
-		]
-	];
+	};
 }
 
 /**
@@ -150,6 +315,11 @@ async function getFilesNames() {
  * @property {boolean} alwaysCallToNext siempre llamar al siguiente handler (next)
  * @property {boolean} logRequest imprimir en consola información relevante de las requests
  * @property {string} componentsDirectory cambiar el directorio donde se buscan los componentes (por defecto 'components')
+ * @property {boolean|string} pages activar las rutas a partir de ficheros (true usa el subdirectorio 'pages' de los componentes, o el nombre del subdirectorio)
+ * @property {string} libraryPath dirección donde se monta el middleware, usada por las páginas para cargar el cliente (por defecto '/webeact')
+ * @property {boolean} devtools mostrar el panel de devtools en el cliente (por defecto solo fuera de producción)
+ * @property {function(ClientError, Request): void} onClientError recibe los errores no capturados de los componentes
+ * que envía el cliente (si no se pasa, el cliente no envía los errores)
  */
 
 
@@ -162,17 +332,153 @@ export function createMiddleware(
 	options = { alwaysCallToNext: false, logRequest: false, componentsDirectory: CMPNAME },
 ) {
 	CMPNAME = options.componentsDirectory || CMPNAME;
-	routing.use(cacheEngine({
+	const routing = router();
+
+	// Servir todos los scripts del lib
+	routing.use_static(LIBNAME);
+	const isProduction = PRODUCTION || process.env.NODE_ENV === "production";
+	const engine = cacheEngine({
 		viewsDirectory: options.componentsDirectory || CMPNAME,
 		cacheSize: 25,
-		isProduction: PRODUCTION || process.env.NODE_ENV === "production"
-	}));
+		isProduction
+	});
+	routing.use(engine);
+
+	// Páginas (rutas a partir de ficheros): nombre del componente -> página
+	const pagesDirectory = options.pages
+		? path.join(CMPNAME, typeof options.pages === "string" ? options.pages : "pages")
+		: null;
+	const pages = new Map();
+	// Se reconstruye en cada escaneo (ver refreshPages)
+	let pagesRouting = router();
 
-	return (req, res, next) => {
+	/**
+	 * Carga el contenido de un componente por su nombre (las páginas por su fichero)
+	 * @param {string} name nombre del componente
+	 * @returns {Promise<string>} contenido del componente
+	 */
+	const loadComponent = (name) => engine.getViewContent(pages.get(name)?.viewPath ?? name);
+	/**
+	 * Carga el fichero (contenido y metadatos) de un componente por su nombre
+	 * @param {string} name nombre del componente
+	 * @returns {Promise<import("./view-cache.js").ViewEntry>} fichero del componente
+	 */
+	const loadComponentView = (name) => engine.getView(pages.get(name)?.viewPath ?? name);
+
+	/**
+	 * Responde con el HTML que monta el componente de la página de la ruta
+	 * @param {Request} req Información sobre la petición
+	 * @param {Response} res Información sobre la respuesta
+	 * @returns {boolean} false si la página ya no existe (se llama al next)
+	 */
+	const servePage = (req, res) => {
+		// La página pudo eliminarse (o renombrarse) después de registrar su ruta
+		const page = [...pages.values()].find((entry) => entry.route === req.matchedRoutePath);
+		if (!page) return false;
+		const { name } = page;
+
+		let params;
+		try {
+			params = Object.fromEntries(
+				Object.entries(req.params).map(([key, value]) => [key, decodeURIComponent(value)])
+			);
+		} catch {
+			// Secuencia % mal formada en la dirección (ej: /users/%E0)
+			res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end("Bad Request");
+			return true;
+		}
+		const shell = pageShell(name, params, options.libraryPath ?? "/webeact");
+		renderComponents(shell, loadComponent)
+			.then((html) => {
+				res.setHeader("Content-Type", "text/html; charset=utf-8");
+				res.setHeader("Content-Length", Buffer.byteLength(html, "utf-8"));
+				res.end(html);
+			})
+			.catch((err) => {
+				console.error(`Error rendering page ${name}: ${err}`);
+				if (!res.headersSent) {
+					res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+					res.end("Internal Server Error");
+				}
+			});
+		return true;
+	};
+
+	/**
+	 * Vuelve a escanear las páginas y reconstruye sus rutas: las estáticas siguen
+	 * teniendo prioridad sobre las dinámicas y las de páginas eliminadas desaparecen
+	 * @returns {Promise<import("./pages.js").PageEntry[]>} páginas encontradas
+	 */
+	const refreshPages = async () => {
+		const found = await scanPages(pagesDirectory, CMPNAME);
+		const nextRouting = router();
+		pages.clear();
+		found.forEach((page) => {
+			pages.set(page.name, page);
+			nextRouting.get(page.route, servePage);
+		});
+		pagesRouting = nextRouting;
+		return found;
+	};
+	const pagesReady = pagesDirectory ? refreshPages() : Promise.resolve([]);
+
+	/**
+	 * Escanea los componentes y las páginas (también son componentes, web-page-*)
+	 * @returns {Promise<[string[], string[]]>} [nombres, rutas] de los componentes
+	 */
+	const scanComponents = async () => {
+		const [names, filePaths] = await getFilesNames(CMPNAME, pagesDirectory);
+		if (!pagesDirectory) return [names, filePaths];
+		const found = await refreshPages();
+		return [
+			[...names, ...found.map((page) => page.name)],
+			[...filePaths, ...found.map((page) => page.filePath)]
+		];
+	};
+
+	// Un único watcher por middleware, compartido por todas las conexiones SSE
+	const watcher = componentWatcher({
+		directory: CMPNAME,
+		scan: scanComponents,
+		load: loadComponent,
+		// Los <import-file> de fuera del directorio de componentes también se observan
+		dependencies: async (name) => (await loadComponentView(name)).dependencies.map((dependency) => dependency.path),
+		pollInterval: CMPS_REFRESH
+	});
+	const reportErrors = typeof options.onClientError === "function";
+	routing.get("/connect", handleSSE(watcher, { devtools: options.devtools ?? !isProduction, errors: reportErrors }));
+	if (reportErrors) routing.post("/errors", handleClientErrors(options.onClientError));
+	routing.get("/component/:name", handleComponent(watcher));
+	routing.get("/manifest.json", handleManifest(watcher, loadComponentView));
+
+	const middleware = (req, res, next) => {
 		if (options.logRequest)
 			console.log(`[LOG] - Request ${req.originalUrl} from ${req.ip}`);
 		if (!routing.middleware(req, res, next) || options.alwaysCallToNext) next();
 	};
+
+	/**
+	 * Renderiza en el servidor los componentes (web-*) de una página HTML
+	 * como Declarative Shadow DOM (para usar fuera de las rutas del middleware)
+	 * @param {string} html HTML de la página
+	 * @returns {Promise<string>} HTML con los componentes expandidos
+	 */
+	middleware.renderPage = engine.renderPage;
+
+	/**
+	 * Middleware que sirve las páginas (se monta en la raíz de la aplicación)
+	 * @param {Request} req Información sobre la petición
+	 * @param {Response} res Información sobre la respuesta
+	 * @param {Function} next Siguiente handler a llamar
+	 */
+	middleware.pages = async (req, res, next) => {
+		if (!pagesDirectory || req.method !== "GET") return next();
+		await pagesReady;
+		if (!(await pagesRouting.middleware(req, res))) next();
+	};
+
+	return middleware;
 }
 
 export default createMiddleware;
@@ -0,0 +1,98 @@
+import path from "path";
+import { glob } from "./iglob.js";
+import { toAttributeName } from "../Lib/props.js";
+
+/**
+ * Segmento dinámico del nombre de un fichero ([id] → :id)
+ * @type {RegExp}
+ */
+const DYNAMIC_SEGMENT = /^\[([A-Za-z_$][\w$]*)\]$/;
+
+/**
+ * @typedef PageEntry
+ * @property {string} name nombre del componente de la página (se monta como web-<name>)
+ * @property {string} route ruta del servidor (ej: /users/:id)
+ * @property {string} viewPath ruta del fichero relativa al directorio de componentes
+ * @property {string} filePath ruta absoluta del fichero
+ */
+
+/**
+ * Calcula la ruta y el nombre del componente de una página a partir de su fichero
+ * (users/[id].html → /users/:id y page-users-id, index.html → / y page-index)
+ * @param {string} relativePath ruta del fichero relativa al directorio de páginas
+ * @returns {{route: string, name: string}} ruta y nombre del componente
+ */
+export function pageRoute(relativePath) {
+	const segments = relativePath.replace(/\\/g, "/").replace(/\.html$/i, "").split("/");
+	if (segments[segments.length - 1].toLowerCase() === "index") segments.pop();
+
+	const route = segments.map((segment) => segment.replace(DYNAMIC_SEGMENT, ":$1"));
+	const name = segments
+		.map((segment) => segment.replace(DYNAMIC_SEGMENT, "$1").toLowerCase().replace(/[^a-z0-9]+/g, "-"))
+		.map((segment) => segment.replace(/^-+|-+$/g, ""))
+		.filter(Boolean);
+
+	return {
+		route: `/${route.join("/")}`,
+		name: name.length ? `page-${name.join("-")}` : "page-index"
+	};
+}
+
+/**
+ * Busca las páginas de un directorio (las rutas estáticas se ordenan antes que las dinámicas)
+ * @param {string} pagesDirectory directorio de las páginas
+ * @param {string} componentsDirectory directorio de los componentes (para las rutas de las views)
+ * @returns {Promise<PageEntry[]>} páginas encontradas
+ */
+export async function scanPages(pagesDirectory, componentsDirectory) {
+	const root = path.resolve(pagesDirectory);
+	const [, files] = await glob(path.join(root, "**.html"), (a) => a, root);
+
+	const dynamicSegments = ({ route }) => route.split("/").filter((segment) => segment.startsWith(":")).length;
+	return files
+		.map((filePath) => ({
+			...pageRoute(path.relative(root, filePath)),
+			viewPath: path.relative(path.resolve(componentsDirectory), filePath),
+			filePath
+		}))
+		.sort((a, b) => dynamicSegments(a) - dynamicSegments(b) || b.route.length - a.route.length);
+}
+
+/**
+ * Escapa un valor para usarlo dentro de un atributo HTML
+ * @param {string} value valor a escapar
+ * @returns {string} valor escapado
+ */
+function escapeAttribute(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/"/g, "&quot;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+/**
+ * Crea el HTML completo que monta el componente de una página
+ * con los parámetros de la ruta como atributos
+ * @param {string} name nombre del componente de la página
+ * @param {Object<string, string>} params parámetros de la ruta
+ * @param {string} libraryPath dirección donde está montado el middleware (scripts del cliente)
+ * @returns {string} HTML de la página
+ */
+export function pageShell(name, params, libraryPath = "/webeact") {
+	const attributes = Object.entries(params)
+		.map(([param, value]) => ` ${toAttributeName(param)}="${escapeAttribute(value)}"`)
+		.join("");
+
+	return `<!DOCTYPE html>
+<html>
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1">
+	<script type="module" src="${libraryPath}/main.js"></script>
+</head>
+<body>
+	<web-${name}${attributes}></web-${name}>
+</body>
+</html>`;
+}
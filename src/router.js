@@ -1,6 +1,7 @@
 import url from "url";
 import path from "path";
-import { promises as fs, createReadStream, existsSync } from "fs";;
+import { promises as fs, createReadStream, existsSync } from "fs";
+import { pathToRegExp, extractParams } from "../Lib/pathToRegExp.js";
 
 // Mapa de tipos MIME reutilizable
 const mimeTypes = {
@@ -314,18 +315,12 @@ class Router {
 
 	/**
 	 * Convierte rutas como /user/:id a expresiones regulares
+	 * (misma lógica que el router del cliente, ver Lib/pathToRegExp.js)
 	 * @param {string} path Dirección a ser convertida a Regex
 	 * @returns {Object} Objeto con pattern: Regex para la ruta pasada
 	 */
 	_pathToRegExp(path) {
-		const keys = [];
-		const pattern = path
-			.replace(/\/:([^/]+)/g, (_, key) => {
-				keys.push(key);
-				return "/([^/]+)";
-			})
-			.replace(/\*/g, ".*");
-		return { pattern: new RegExp(`^${pattern}$`), keys };
+		return pathToRegExp(path);
 	}
 
 	/**
@@ -335,13 +330,7 @@ class Router {
 	 * @returns {Object} los parámetros de la ruta
 	 */
 	_extractParams(routePath, actualPath) {
-		const { pattern, keys } = this._pathToRegExp(routePath);
-		const matches = actualPath.match(pattern);
-		if (!matches || keys.length === 0) return {};
-		return keys.reduce((params, key, i) => {
-			params[key] = matches[i + 1];
-			return params;
-		}, {});
+		return extractParams(routePath, actualPath);
 	}
 }
 
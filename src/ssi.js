@@ -1,6 +1,12 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 
+/**
+ * Directiva de SSI: <import-file src="...">
+ * @type {RegExp}
+ */
+const IMPORT_PATTERN = /<import-file\s+src=["'](.+?)["']\s*\/?>/g;
+
 /**
  * Reemplaza las directivas <import-file src="..."> con el contenido correspondiente.
  *
@@ -9,7 +15,7 @@ import path from 'path';
  * @returns {Promise<string>}
  */
 export async function processImports(html, baseDir) {
-	const importRegex = /<import-file\s+src=["'](.+?)["']\s*\/?>/g;
+	const importRegex = new RegExp(IMPORT_PATTERN);
 	let match;
 	let result = html;
 
@@ -37,3 +43,32 @@ export async function processImports(html, baseDir) {
 
 	return result;
 }
+
+/**
+ * Retorna los ficheros que importa un HTML con <import-file src="..."> (también los anidados),
+ * resueltos igual que en processImports. Los que no existen también se incluyen
+ *
+ * @param {string} html - Contenido HTML original.
+ * @param {string} baseDir - Directorio base para resolver las rutas.
+ * @param {Set<string>} [seen] - Ficheros ya encontrados (evita ciclos).
+ * @returns {Promise<string[]>} rutas de los ficheros importados
+ */
+export async function collectImports(html, baseDir, seen = new Set()) {
+	for (const match of html.matchAll(IMPORT_PATTERN)) {
+		const resolvedPath = path.join(baseDir, match[1]);
+		if (seen.has(resolvedPath)) continue;
+		seen.add(resolvedPath);
+
+		try {
+			const stats = await fs.stat(resolvedPath);
+			if (stats.isFile()) {
+				const content = await fs.readFile(resolvedPath, 'utf-8');
+				await collectImports(content, path.dirname(resolvedPath), seen);
+			}
+		} catch {
+			// No existe (todavía): se incluye para detectar cuando se cree
+		}
+	}
+
+	return [...seen];
+}
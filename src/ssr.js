@@ -0,0 +1,255 @@
+import { castProp, normalizeProps, toAttributeName } from "../Lib/props.js";
+
+/**
+ * Tags de los componentes (web-nombre) con sus atributos
+ * @type {RegExp}
+ */
+const COMPONENT_TAG = /<web-([a-z0-9][a-z0-9-]*)(\s[^>]*)?>/gi;
+
+/**
+ * Un Declarative Shadow DOM ya presente justo después del tag
+ * @type {RegExp}
+ */
+const DECLARATIVE_SHADOW_ROOT = /^\s*<template\s[^>]*shadowrootmode/i;
+
+/**
+ * Los scripts se ejecutan en el cliente (Element), no forman parte del HTML estático
+ * @type {RegExp}
+ */
+const SCRIPT_TAG = /<script\b[^>]*>[\s\S]*?<\/script\s*>/gi;
+
+/**
+ * Bloque con las props declaradas del componente
+ * @type {RegExp}
+ */
+const PROPS_BLOCK = /<script\b[^>]*\bdata-props\b[^>]*>([\s\S]*?)<\/script\s*>/i;
+
+/**
+ * Tags de apertura de cualquier elemento (con sus atributos)
+ * @type {RegExp}
+ */
+const OPEN_TAG = /<([a-z][a-z0-9-]*)(\s[^>]*?)?(\/?)>/gi;
+
+/**
+ * Atributos de un tag: nombre y valor (entre comillas dobles, simples o sin comillas)
+ * @type {RegExp}
+ */
+const ATTRIBUTE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Interpolaciones del template (misma sintaxis que Lib/Bindings.js)
+ * @type {RegExp}
+ */
+const INTERPOLATION = /\{\{\s*([\w$]+(?:\.[\w$]+)*)\s*\}\}/g;
+
+/**
+ * @typedef RenderComponentsOptions
+ * @property {number} [maxDepth=10] profundidad máxima de componentes anidados
+ */
+
+/**
+ * Retorna la ruta de la view de un componente a partir de su nombre
+ * @param {string} name nombre del componente (sin el prefijo web-)
+ * @returns {string} ruta relativa al directorio de componentes
+ */
+function viewPathOf(name) {
+	return name === "main-app" ? "index.html" : name;
+}
+
+/**
+ * Escapa un texto para usarlo en el HTML (también dentro de atributos)
+ * @param {*} value valor a escapar
+ * @returns {string} texto escapado
+ */
+function escapeHTML(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/"/g, "&quot;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;");
+}
+
+/**
+ * Entidades con nombre que se decodifican en los valores de los atributos
+ * @type {Object<string, string>}
+ */
+const NAMED_ENTITIES = { amp: "&", quot: "\"", apos: "'", lt: "<", gt: ">", nbsp: "\u00a0" };
+
+/**
+ * Decodifica las entidades de un valor de atributo (numéricas y las más comunes)
+ * @param {string} value valor tal como aparece en el HTML
+ * @returns {string} valor decodificado
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+		if (code[0] !== "#") return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+		const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+		return point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+	});
+}
+
+/**
+ * Lee los atributos de un tag
+ * @param {string} source atributos del tag (lo que sigue al nombre)
+ * @returns {Array<[string, string|null]>} pares [nombre, valor] (null si no tiene valor)
+ */
+export function parseAttributes(source = "") {
+	return [...source.matchAll(ATTRIBUTE)].map(([, name, double, single, bare]) => [
+		name,
+		double ?? single ?? bare ?? null
+	]);
+}
+
+/**
+ * Valores iniciales del template: las props declaradas, con el valor de sus atributos o su default
+ * @param {string} content contenido del componente
+ * @param {Array<[string, string|null]>} attributes atributos del tag del componente
+ * @returns {Object<string, *>} valores por nombre de la prop
+ */
+function initialValues(content, attributes) {
+	const block = content.match(PROPS_BLOCK);
+	if (!block) return {};
+
+	let props;
+	try {
+		props = normalizeProps(JSON.parse(block[1] || "{}"));
+	} catch {
+		return {};
+	}
+	const byName = new Map(attributes.map(([name, value]) => [name.toLowerCase(), decodeEntities(value ?? "")]));
+	return Object.fromEntries(Object.entries(props).map(([name, definition]) => [
+		name,
+		castProp(definition, byName.get(toAttributeName(name)) ?? null)
+	]));
+}
+
+/**
+ * Retorna el valor de una ruta (ej: "user.name")
+ * @param {Object<string, *>} values valores del template
+ * @param {string} path ruta separada por puntos
+ * @returns {*} valor o undefined
+ */
+function resolvePath(values, path) {
+	return path.split(".").reduce((value, key) => value?.[key], values);
+}
+
+/**
+ * Retorna el HTML estático de un componente: sin sus scripts ni sus eventos (on:evento),
+ * con las interpolaciones resueltas con los valores iniciales (las props; lo que exponen
+ * los scripts queda vacío), los data-if falsos y las listas (data-for) ocultos.
+ * El cliente vuelve a renderizar el template al cargar el componente
+ * @param {string} content contenido del componente
+ * @param {Array<[string, string|null]>} attributes atributos del tag del componente
+ * @returns {string} HTML estático
+ */
+export function staticMarkup(content, attributes = []) {
+	const values = initialValues(content, attributes);
+	const text = (value) => value === undefined || value === null ? "" : String(value);
+	// Condición del último data-if (decide si se muestra el data-else que lo sigue)
+	let lastCondition = false;
+
+	const markup = content.replace(SCRIPT_TAG, "").replace(OPEN_TAG, (tag, name, rawAttributes, selfClosing) => {
+		const output = [];
+		let hidden = false;
+		let hasHidden = false;
+		for (const [attribute, value] of parseAttributes(rawAttributes)) {
+			if (attribute.startsWith("on:")) continue;
+			if (attribute === "hidden") hasHidden = true;
+
+			if (attribute === "data-if") {
+				const expression = (value ?? "").trim();
+				const negated = expression.startsWith("!");
+				const condition = Boolean(resolvePath(values, negated ? expression.slice(1).trim() : expression));
+				lastCondition = negated ? !condition : condition;
+				hidden ||= !lastCondition;
+			}
+			if (attribute === "data-else") hidden ||= lastCondition;
+			if (attribute === "data-for") hidden = true;
+
+			if (value === null) {
+				output.push(attribute);
+				continue;
+			}
+			// Un atributo con una única interpolación acepta booleanos (disabled="{{busy}}")
+			const single = value.match(/^\{\{\s*([\w$]+(?:\.[\w$]+)*)\s*\}\}$/);
+			if (single) {
+				const resolved = resolvePath(values, single[1]);
+				if (resolved === false || resolved === null || resolved === undefined) continue;
+				output.push(resolved === true ? attribute : `${attribute}="${escapeHTML(resolved)}"`);
+				continue;
+			}
+			// El resto del valor ya es HTML: solo se escapan las comillas (el valor pudo ir entre comillas simples)
+			const rendered = value
+				.replace(/"/g, "&quot;")
+				.replace(INTERPOLATION, (_, path) => escapeHTML(text(resolvePath(values, path))));
+			output.push(`${attribute}="${rendered}"`);
+		}
+		if (hidden && !hasHidden) output.push("hidden");
+		return `<${name}${output.map((attribute) => ` ${attribute}`).join("")}${selfClosing ? " /" : ""}>`;
+	});
+
+	// Interpolaciones de los textos (las de los atributos ya se resolvieron)
+	return markup.replace(INTERPOLATION, (_, path) => escapeHTML(text(resolvePath(values, path))));
+}
+
+/**
+ * Expande los tags web-* de un HTML en Declarative Shadow DOM
+ * (<template shadowrootmode="open">) con el HTML estático y los estilos de cada componente
+ * @param {string} html HTML de la página
+ * @param {function(string): Promise<string>} getViewContent función que carga el contenido de un componente
+ * @param {RenderComponentsOptions} options opciones del renderizado
+ * @returns {Promise<string>} HTML con los componentes expandidos
+ */
+export async function renderComponents(html, getViewContent, options = {}) {
+	const maxDepth = options.maxDepth ?? 10;
+	// Cache por renderizado: cada componente se carga una sola vez
+	const loaded = new Map();
+
+	/**
+	 * Carga el contenido de un componente
+	 * @param {string} name nombre del componente
+	 * @returns {Promise<string|null>} contenido o null si no es un componente
+	 */
+	const load = (name) => {
+		if (!loaded.has(name)) {
+			loaded.set(name, getViewContent(viewPathOf(name)).catch(() => null));
+		}
+		return loaded.get(name);
+	};
+
+	/**
+	 * Expande los componentes de un fragmento de HTML
+	 * @param {string} source HTML a expandir
+	 * @param {string[]} ancestors componentes que se están expandiendo (evita ciclos)
+	 * @returns {Promise<string>} HTML expandido
+	 */
+	const expand = async (source, ancestors) => {
+		let result = "";
+		let lastIndex = 0;
+
+		for (const match of source.matchAll(COMPONENT_TAG)) {
+			const [openTag, rawName, rawAttributes] = match;
+			const name = rawName.toLowerCase();
+			const end = match.index + openTag.length;
+			result += source.slice(lastIndex, end);
+			lastIndex = end;
+
+			// Ya renderizado, recursivo o demasiado profundo: se deja tal cual
+			if (DECLARATIVE_SHADOW_ROOT.test(source.slice(end))) continue;
+			if (ancestors.includes(name) || ancestors.length >= maxDepth) continue;
+
+			const content = await load(name);
+			if (content === null) continue;
+
+			// Cada instancia resuelve su template con los valores de sus atributos
+			const inner = await expand(staticMarkup(content, parseAttributes(rawAttributes)), [...ancestors, name]);
+			result += `<template shadowrootmode="open">${inner}</template>`;
+		}
+
+		return result + source.slice(lastIndex);
+	};
+
+	return expand(html, []);
+}
+
+export default renderComponents;
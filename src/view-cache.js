@@ -1,7 +1,8 @@
 import { promises as fs, existsSync } from 'fs';
 import path from 'path';
 import { LRUCache } from './lru.js';
-import { processImports } from './ssi.js';
+import { processImports, collectImports } from './ssi.js';
+import { renderComponents } from './ssr.js';
 
 /**
  * @typedef {Object} CacheEngineOptions
@@ -27,16 +28,38 @@ export function cacheEngine(options = {}) {
 	const templateCache = new LRUCache(config.cacheSize);
 
 	/**
-	 * Retorna el contenido de un fichero con cache de intermedio en modo producción
+	 * @typedef {Object} ViewEntry
+	 * @property {string} content - contenido con los <import-file> expandidos
+	 * @property {Date} mtime - fecha de modificación del fichero
+	 * @property {number} size - tamaño del contenido
+	 * @property {string} filePath - ruta absoluta del fichero
+	 * @property {{path: string, mtime: Date|null}[]} dependencies - ficheros importados (SSI) y su fecha de modificación
+	 */
+
+	/**
+	 * Verifica si alguno de los ficheros importados cambió (o se creó/eliminó)
+	 * @param {{path: string, mtime: Date|null}[]} dependencies - ficheros importados
+	 * @returns {Promise<boolean>} true si alguno cambió
+	 */
+	async function dependenciesChanged(dependencies) {
+		for (const dependency of dependencies) {
+			const mtime = await fs.stat(dependency.path).then((stats) => stats.mtime, () => null);
+			if (mtime?.getTime() !== dependency.mtime?.getTime()) return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Retorna un fichero (contenido y metadatos) con cache de intermedio en modo producción
 	 * @param {string} filePath - file path relativo
-	 * @returns {Promise<string>} contenido del fichero
+	 * @returns {Promise<ViewEntry>} contenido y metadatos del fichero
 	 */
-	async function getViewContent(filePath) {
+	async function getView(filePath) {
 		let filePathResolved = path.resolve(path.join(config.viewsDirectory, filePath));
 		if( existsSync(filePathResolved) && (await fs.lstat(filePathResolved)).isDirectory() ){
-			return await getViewContent(path.join(filePath, "index.html"));
+			return await getView(path.join(filePath, "index.html"));
 		}else if(!existsSync(filePathResolved) && !filePath.endsWith(".html")){
-			return await getViewContent(filePath + ".html");
+			return await getView(filePath + ".html");
 		}
 		try {
 			// Verifica que el archivo existe y obtener sus atributos
@@ -46,9 +69,9 @@ export function cacheEngine(options = {}) {
 			if (config.isProduction && templateCache.has(filePathResolved)) {
 				const cached = templateCache.get(filePathResolved);
 
-				// Valida la cache
-				if (cached.mtime >= stats.mtime) {
-					return cached.content;
+				// Valida la cache (también los ficheros importados)
+				if (cached.mtime >= stats.mtime && !(await dependenciesChanged(cached.dependencies))) {
+					return cached;
 				} else {
 					// El archivo a cambiado, borrar cache
 					templateCache.cache.delete(filePathResolved);
@@ -58,19 +81,27 @@ export function cacheEngine(options = {}) {
 			// Leer el contenido del fichero
 			const content = await fs.readFile(filePathResolved, 'utf-8');
 			const processedContent = await processImports(content, config.viewsDirectory);
+			const dependencies = await Promise.all(
+				(await collectImports(content, config.viewsDirectory)).map(async (dependency) => ({
+					path: dependency,
+					mtime: await fs.stat(dependency).then((depStats) => depStats.mtime, () => null)
+				}))
+			);
 
 			// El contenido del cache, con metadatos
 			const cacheEntry = {
 				content: processedContent,
 				mtime: stats.mtime,
-				size: processedContent.length
+				size: processedContent.length,
+				filePath: filePathResolved,
+				dependencies
 			};
 
 			if (config.cacheSize > 0) {
 				templateCache.set(filePathResolved, cacheEntry);
 			}
 
-			return processedContent;
+			return cacheEntry;
 
 		} catch (err) {
 			if (err.code === 'ENOENT') {
@@ -80,6 +111,24 @@ export function cacheEngine(options = {}) {
 		}
 	}
 
+	/**
+	 * Retorna el contenido de un fichero con cache de intermedio en modo producción
+	 * @param {string} filePath - file path relativo
+	 * @returns {Promise<string>} contenido del fichero
+	 */
+	async function getViewContent(filePath) {
+		return (await getView(filePath)).content;
+	}
+
+	/**
+	 * Expande los componentes (web-*) de una página en Declarative Shadow DOM
+	 * @param {string} html - HTML de la página
+	 * @returns {Promise<string>} HTML con los componentes renderizados en el servidor
+	 */
+	function renderPage(html) {
+		return renderComponents(html, getViewContent);
+	}
+
 	/**
 	 * Mejorado el error handling con el contexto
 	 * @param {Error} error - The error object
@@ -138,6 +187,35 @@ export function cacheEngine(options = {}) {
 			}
 		};
 
+		/**
+		 * Renderizar en el servidor los componentes de una página HTML
+		 * @param {string} html - HTML de la página
+		 * @returns {Promise<string>}
+		 */
+		res.renderPage = renderPage;
+
+		/**
+		 * Leer una página HTML, renderizar sus componentes y enviarla al cliente
+		 * @param {string} pagePath - Ruta del fichero (absoluta o relativa al process.cwd)
+		 * @returns {Promise<void>}
+		 */
+		res.sendPage = async (pagePath) => {
+			try {
+				const page = await fs.readFile(path.resolve(pagePath), 'utf-8');
+				const html = await renderPage(page);
+				res.setHeader('Content-Type', 'text/html; charset=utf-8');
+				res.setHeader('Content-Length', Buffer.byteLength(html, 'utf-8'));
+
+				if (res.send) {
+					res.send(html);
+				} else {
+					res.end(html);
+				}
+			} catch (err) {
+				handleError(err, res, next, 'renderPage');
+			}
+		};
+
 		/**
 		 * Obtener el contenido de un archivo
 		 */
@@ -155,6 +233,11 @@ export function cacheEngine(options = {}) {
 		next();
 	}
 
+	// Acceso al contenido de las views fuera de una petición (watcher, herramientas)
+	cacheEngineMiddleware.getViewContent = getViewContent;
+	cacheEngineMiddleware.getView = getView;
+	cacheEngineMiddleware.renderPage = renderPage;
+
 	return cacheEngineMiddleware;
 }
 
@@ -0,0 +1,325 @@
+import { watch } from "fs";
+import { createHash } from "crypto";
+import path from "path";
+
+/**
+ * @typedef ComponentWatcherOptions
+ * @property {string} directory directorio de los componentes que se va a observar
+ * @property {function(): Promise<[string[], string[]]>} scan función que retorna [nombres, rutas] de los componentes
+ * @property {function(string): Promise<string>} [load] función que retorna el contenido de un componente (para detectar modificaciones)
+ * @property {function(string): Promise<string[]>} [dependencies] función que retorna las rutas absolutas de los ficheros que importa un componente (SSI)
+ * @property {number} [debounce=100] milisegundos a esperar tras el último cambio antes de re-escanear
+ * @property {number} [pollInterval=2500] intervalo del polling cuando fs.watch no está disponible
+ */
+
+/**
+ * @typedef ComponentEntry
+ * @property {string} filePath ruta del fichero del componente
+ * @property {string|null} hash hash del contenido del componente (null si no hay load)
+ */
+
+/**
+ * @typedef ComponentsChange
+ * @property {string[]} added nombres de los componentes nuevos
+ * @property {string[]} changed nombres de los componentes cuyo contenido cambió
+ * @property {string[]} removed nombres de los componentes eliminados
+ * @property {Map<string, ComponentEntry>} previous índice anterior (para consultar los eliminados)
+ */
+
+/**
+ * Calcula el hash (sha1) del contenido de un componente
+ * @param {string} content contenido del componente
+ * @returns {string} hash en hexadecimal
+ */
+export function hashContent(content) {
+	return createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * clase ComponentWatcher
+ * Mantiene el índice de componentes del directorio y notifica los cambios
+ * a todos los suscriptores (una única instancia compartida por todas las conexiones)
+ */
+export class ComponentWatcher {
+	/**
+	 * Crea un watcher para el directorio de componentes
+	 * @param {ComponentWatcherOptions} options opciones del watcher
+	 */
+	constructor({ directory, scan, load, dependencies, debounce = 100, pollInterval = 2500 }) {
+		this.directory = path.resolve(directory);
+		this.scan = scan;
+		this.load = load;
+		this.dependencies = dependencies;
+		this.debounce = debounce;
+		this.pollInterval = pollInterval;
+
+		/**
+		 * Índice de componentes: nombre -> entrada con la ruta y el hash
+		 * @type {Map<string, ComponentEntry>}
+		 */
+		this.components = new Map();
+		/**
+		 * Promesa que se resuelve cuando el primer escaneo termina
+		 * @type {Promise<Map<string, ComponentEntry>>}
+		 */
+		this.ready = Promise.resolve(this.components);
+
+		this._listeners = new Set();
+		this._fsWatcher = null;
+		/**
+		 * Watchers de los ficheros importados que están fuera del directorio: ruta -> watcher
+		 * @type {Map<string, import("fs").FSWatcher>}
+		 */
+		this._dependencyWatchers = new Map();
+		this._pollId = null;
+		this._debounceId = null;
+		this._pending = Promise.resolve();
+		this._lastScan = 0;
+	}
+
+	/**
+	 * Suscribe un listener a los cambios del índice (el primero arranca el watcher)
+	 * @param {function(ComponentsChange):void} listener función que recibe los cambios
+	 * @returns {function():void} función para cancelar la suscripción
+	 */
+	subscribe(listener) {
+		this._listeners.add(listener);
+		if (this._listeners.size === 1) this.start();
+
+		return () => {
+			this._listeners.delete(listener);
+			// Sin suscriptores no tiene sentido seguir observando
+			if (this._listeners.size === 0) this.stop();
+		};
+	}
+
+	/**
+	 * Inicia la observación del directorio (fs.watch con fallback a polling)
+	 */
+	start() {
+		if (this._fsWatcher || this._pollId) return;
+
+		// El escaneo inicial no notifica, los suscriptores leen el índice completo
+		this.ready = this.refresh(false);
+
+		try {
+			this._fsWatcher = watch(this.directory, { recursive: true }, () => this._schedule());
+			this._fsWatcher.on("error", (err) => {
+				console.warn(`[WATCHER] Error observando ${this.directory}: ${err.message}`);
+				this._startPolling();
+			});
+		} catch (err) {
+			console.warn(`[WATCHER] fs.watch no disponible (${err.message}), usando polling`);
+			this._startPolling();
+		}
+	}
+
+	/**
+	 * Detiene la observación del directorio
+	 */
+	stop() {
+		this._closeFsWatcher();
+		this._closeDependencyWatchers();
+		clearInterval(this._pollId);
+		clearTimeout(this._debounceId);
+		this._pollId = null;
+		this._debounceId = null;
+	}
+
+	/**
+	 * Indica si el directorio se está observando (fs.watch o polling)
+	 * @returns {boolean}
+	 */
+	get watching() {
+		return this._fsWatcher !== null || this._pollId !== null;
+	}
+
+	/**
+	 * Índice actual de componentes. Mientras se observa el directorio es el que mantiene el watcher;
+	 * si no, se re-escanea como mucho una vez cada pollInterval (las peticiones se agrupan en ese escaneo)
+	 * @returns {Promise<Map<string, ComponentEntry>>} el índice de componentes
+	 */
+	current() {
+		if (!this.watching && Date.now() - this._lastScan >= this.pollInterval) {
+			this._lastScan = Date.now();
+			this.ready = this.refresh();
+		}
+		// Los escaneos posteriores a ready reemplazan el índice
+		return this.ready.then(() => this.components);
+	}
+
+	/**
+	 * Vuelve a escanear el directorio y notifica la diferencia con el índice anterior
+	 * @param {boolean} notify si se debe notificar a los suscriptores
+	 * @returns {Promise<Map<string, ComponentEntry>>} el índice actualizado
+	 */
+	refresh(notify = true) {
+		// Encadenar los escaneos para que nunca se solapen
+		this._pending = this._pending.then(() => this._refresh(notify));
+		return this._pending;
+	}
+
+	/**
+	 * Lógica del escaneo
+	 * @param {boolean} notify si se debe notificar a los suscriptores
+	 * @returns {Promise<Map<string, ComponentEntry>>} el índice actualizado
+	 */
+	async _refresh(notify) {
+		try {
+			const [names, rawNames] = await this.scan();
+			const next = new Map();
+			for (let idx = 0; idx < names.length; idx++) {
+				next.set(names[idx], {
+					filePath: rawNames[idx],
+					hash: await this._hash(names[idx])
+				});
+			}
+
+			const added = names.filter((name) => !this.components.has(name));
+			const changed = names.filter((name) =>
+				this.components.has(name) && this.components.get(name).hash !== next.get(name).hash
+			);
+			const removed = [...this.components.keys()].filter((name) => !next.has(name));
+			const previous = this.components;
+			this.components = next;
+			// Con polling cada escaneo ya vuelve a leer los ficheros importados
+			if (this._fsWatcher) await this._watchDependencies(names);
+
+			if (notify && (added.length || changed.length || removed.length)) {
+				this._emit({ added, changed, removed, previous });
+			}
+		} catch (err) {
+			console.error(`Error on getting files names: ${err}`);
+		}
+		return this.components;
+	}
+
+	/**
+	 * Calcula el hash del contenido de un componente
+	 * @param {string} name nombre del componente
+	 * @returns {Promise<string|null>} hash del contenido o null si no se puede cargar
+	 */
+	async _hash(name) {
+		if (!this.load) return null;
+		try {
+			const content = await this.load(name);
+			return hashContent(content);
+		} catch (err) {
+			// El fichero pudo borrarse durante el escaneo
+			console.warn(`[WATCHER] No se pudo leer ${name}: ${err.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Agrupa las ráfagas de eventos del sistema de ficheros en un solo escaneo
+	 */
+	_schedule() {
+		clearTimeout(this._debounceId);
+		this._debounceId = setTimeout(() => this.refresh(), this.debounce);
+	}
+
+	/**
+	 * Cambia a polling (cuando fs.watch falla)
+	 */
+	_startPolling() {
+		this._closeFsWatcher();
+		if (this._pollId) return;
+		this._pollId = setInterval(() => this.refresh(), this.pollInterval);
+	}
+
+	/**
+	 * Cierra el fs.watch si existe
+	 */
+	_closeFsWatcher() {
+		if (!this._fsWatcher) return;
+		this._fsWatcher.close();
+		this._fsWatcher = null;
+		this._closeDependencyWatchers();
+	}
+
+	/**
+	 * Observa los ficheros importados por los componentes que están fuera del directorio
+	 * (los de dentro ya los cubre el fs.watch recursivo) y deja de observar los que ya no se usan
+	 * @param {string[]} names nombres de los componentes
+	 * @returns {Promise<void>}
+	 */
+	async _watchDependencies(names) {
+		if (!this.dependencies) return;
+
+		const files = new Set();
+		for (const name of names) {
+			const dependencies = await Promise.resolve(this.dependencies(name)).catch(() => []);
+			dependencies
+				.filter((file) => !this._contains(file))
+				.forEach((file) => files.add(file));
+		}
+
+		for (const file of this._dependencyWatchers.keys()) {
+			if (!files.has(file)) this._unwatchDependency(file);
+		}
+		for (const file of files) {
+			if (this._dependencyWatchers.has(file)) continue;
+			try {
+				const fsWatcher = watch(file, (eventType) => {
+					// Renombrado o reemplazado (ej: al guardar desde un editor): se vuelve a observar en el siguiente escaneo
+					if (eventType === "rename") this._unwatchDependency(file);
+					this._schedule();
+				});
+				fsWatcher.on("error", () => this._unwatchDependency(file));
+				this._dependencyWatchers.set(file, fsWatcher);
+			} catch {
+				// El fichero no existe (todavía): se reintenta en el siguiente escaneo
+			}
+		}
+	}
+
+	/**
+	 * Deja de observar un fichero importado
+	 * @param {string} file ruta del fichero
+	 */
+	_unwatchDependency(file) {
+		this._dependencyWatchers.get(file)?.close();
+		this._dependencyWatchers.delete(file);
+	}
+
+	/**
+	 * Cierra los watchers de todos los ficheros importados
+	 */
+	_closeDependencyWatchers() {
+		for (const file of [...this._dependencyWatchers.keys()]) this._unwatchDependency(file);
+	}
+
+	/**
+	 * Indica si una ruta está dentro del directorio observado
+	 * @param {string} file ruta absoluta
+	 * @returns {boolean}
+	 */
+	_contains(file) {
+		const relative = path.relative(this.directory, file);
+		return !relative.startsWith("..") && !path.isAbsolute(relative);
+	}
+
+	/**
+	 * Notifica un cambio a todos los suscriptores
+	 * @param {ComponentsChange} change cambios detectados
+	 */
+	_emit(change) {
+		this._listeners.forEach((listener) => {
+			try {
+				listener(change);
+			} catch (err) {
+				console.error("Error in watcher listener:", err);
+			}
+		});
+	}
+}
+
+/**
+ * Helper para crear un ComponentWatcher
+ * @param {ComponentWatcherOptions} options opciones del watcher
+ * @returns {ComponentWatcher} nueva instancia del watcher
+ */
+export function componentWatcher(options) {
+	return new ComponentWatcher(options);
+}